@@ -1,4 +1,4 @@
-import withIntersectionObserver from './WithIntersectionObserver';
+import withIntersectionObserver from '../../../../src/withIntersectionObserver';
 import Target from './Target';
 
-export default withIntersectionObserver(0.99)(Target);
+export default withIntersectionObserver({ threshold: 0.99, inViewProp: 'isVisible', refProp: 'innerRef' })(Target);
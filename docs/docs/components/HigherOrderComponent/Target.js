@@ -4,7 +4,7 @@ import PropTypes from 'prop-types';
 export default class Target extends Component {
     render() {
         return (
-            <div className={`box ${this.props.isVisible ? 'visible' : 'transparent'}`}>
+            <div className={`box ${this.props.isVisible ? 'visible' : 'transparent'}`} ref={this.props.innerRef}>
                 {this.props.isVisible ? 'Visible' : 'Culled'}
             </div>
         );
@@ -13,4 +13,5 @@ export default class Target extends Component {
 
 Target.propTypes = {
     isVisible: PropTypes.bool,
+    innerRef: PropTypes.func,
 };
@@ -1,35 +1,15 @@
 import React from 'react';
 import PropTypes from 'prop-types';
-import { action } from '@storybook/addon-actions';
-import Observer from '../../../../src/IntersectionObserver';
+import Impression from '../../../../src/Impression';
 
-const tracked = action('tracked');
-
-export default class AdImpression extends React.Component {
-    state = {
-        tracked: '',
-    };
-
-    handleChange = event => {
-        if (event.isIntersecting && event.intersectionRatio >= 0.5) {
-            this.recordedTimeout = setTimeout(() => {
-                this.setState({ tracked: 'ad--tracked' });
-                tracked(`ad #${this.props.index}`);
-            }, 1000);
-            return;
-        }
-        clearTimeout(this.recordedTimeout);
-    };
-
-    render() {
-        return (
-            <Observer onChange={this.handleChange} threshold={0.5}>
-                <div className={`ad ${this.state.tracked}`} />
-            </Observer>
-        );
-    }
-}
+const AdImpression = ({ index }) => (
+    <Impression id={`ad-${index}`} payload={{ slot: index }}>
+        <div className="ad" />
+    </Impression>
+);
 
 AdImpression.propTypes = {
     index: PropTypes.number.isRequired,
 };
+
+export default AdImpression;
@@ -1,15 +1,19 @@
 import React from 'react';
+import { action } from '@storybook/addon-actions';
+import ImpressionTracker from '../../../../src/ImpressionTracker';
 import AdImpression from './AdImpression';
 
+const transport = action('sent');
+
 const ImpressionTracking = () => (
-    <div>
+    <ImpressionTracker transport={transport} flushInterval={2000}>
         <div className="header visible">Criteria: 50% visible pixels + 1 continuous sec</div>
         <div className="body body--center">
             <AdImpression index={1} />
             <AdImpression index={2} />
             <AdImpression index={3} />
         </div>
-    </div>
+    </ImpressionTracker>
 );
 
 export default ImpressionTracking;
@@ -0,0 +1,49 @@
+import React from 'react';
+import PropTypes from 'prop-types';
+import { createConsentGate } from './consent';
+
+export const ConsentContext = React.createContext(null);
+
+/**
+ * Provider gating the tracking callbacks of every component below on the consent of the user: `onCertifiedView`,
+ * `onCertification`, `onDwell`, `onHeartbeat` and the impressions tracked. Calls are queued while consent is unknown,
+ * replayed once it is granted, and dropped once it is denied.
+ */
+export default class ConsentProvider extends React.Component {
+    static displayName = 'ConsentProvider';
+
+    static propTypes = {
+        /**
+         * Consent of the user to tracking.
+         * Defaults to "unknown".
+         */
+        consent: PropTypes.oneOf(['unknown', 'granted', 'denied']),
+
+        /**
+         * Maximum number of calls queued while consent is unknown, dropping the oldest ones.
+         * Defaults to 1000.
+         */
+        maxQueueSize: PropTypes.number,
+
+        children: PropTypes.node,
+    };
+
+    static defaultProps = {
+        consent: 'unknown',
+    };
+
+    constructor(props) {
+        super(props);
+        this.gate = createConsentGate({ consent: props.consent, maxQueueSize: props.maxQueueSize });
+    }
+
+    componentDidUpdate(prevProps) {
+        if (this.props.consent !== prevProps.consent) {
+            this.gate.setConsent(this.props.consent);
+        }
+    }
+
+    render() {
+        return <ConsentContext.Provider value={this.gate}>{this.props.children}</ConsentContext.Provider>;
+    }
+}
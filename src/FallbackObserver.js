@@ -0,0 +1,138 @@
+import { now, parseRootMargin } from './utils';
+
+const THROTTLE_TIMEOUT = 100;
+
+function createRect(top, right, bottom, left) {
+    const width = right - left;
+    const height = bottom - top;
+    return { top, right, bottom, left, width, height, x: left, y: top };
+}
+
+function getRootRect(root) {
+    if (root) {
+        const { top, right, bottom, left } = root.getBoundingClientRect();
+        return createRect(top, right, bottom, left);
+    }
+    const html = document.documentElement;
+    return createRect(0, window.innerWidth || html.clientWidth, window.innerHeight || html.clientHeight, 0);
+}
+
+function getIntersectionRect(rootRect, targetRect) {
+    const top = Math.max(rootRect.top, targetRect.top);
+    const right = Math.min(rootRect.right, targetRect.right);
+    const bottom = Math.min(rootRect.bottom, targetRect.bottom);
+    const left = Math.max(rootRect.left, targetRect.left);
+    return right >= left && bottom >= top ? createRect(top, right, bottom, left) : null;
+}
+
+/**
+ * Minimal stand-in for the IntersectionObserver API, for environments lacking both the native implementation and the
+ * polyfill. Intersections are computed from the bounding client rects of the root and the targets whenever the
+ * document scrolls or the window resizes, throttled to one check every 100ms. Unlike the native API, clipping by
+ * ancestors other than the root is not taken into account.
+ */
+export default class FallbackObserver {
+    constructor(callback, options = {}) {
+        this.callback = callback;
+        this.root = options.root || null;
+        this.rootMargin = parseRootMargin(options.rootMargin);
+        this.thresholds = (Array.isArray(options.threshold)
+            ? options.threshold.slice()
+            : [options.threshold || 0]
+        ).sort((a, b) => a - b);
+        this.observationTargets = new Map();
+        this.timeout = null;
+    }
+
+    observe(target) {
+        if (!this.observationTargets.has(target)) {
+            this.observationTargets.set(target, null);
+            if (this.observationTargets.size === 1) {
+                window.addEventListener('scroll', this.scheduleCheck, true);
+                window.addEventListener('resize', this.scheduleCheck);
+            }
+            this.scheduleCheck();
+        }
+    }
+
+    unobserve(target) {
+        this.observationTargets.delete(target);
+        if (this.observationTargets.size === 0) {
+            this.disconnect();
+        }
+    }
+
+    disconnect() {
+        this.observationTargets.clear();
+        window.removeEventListener('scroll', this.scheduleCheck, true);
+        window.removeEventListener('resize', this.scheduleCheck);
+        clearTimeout(this.timeout);
+        this.timeout = null;
+    }
+
+    takeRecords() {
+        return [];
+    }
+
+    scheduleCheck = () => {
+        if (this.timeout === null) {
+            this.timeout = setTimeout(this.checkForIntersections, THROTTLE_TIMEOUT);
+        }
+    };
+
+    checkForIntersections = () => {
+        this.timeout = null;
+        const rootRect = this.getMarginedRootRect();
+        const changes = [];
+        this.observationTargets.forEach((prevEntry, target) => {
+            const entry = this.createEntry(target, rootRect);
+            this.observationTargets.set(target, entry);
+            if (!prevEntry || this.hasCrossedThreshold(prevEntry, entry)) {
+                changes.push(entry);
+            }
+        });
+        if (changes.length > 0) {
+            this.callback(changes, this);
+        }
+    };
+
+    getMarginedRootRect() {
+        const rect = getRootRect(this.root);
+        const [top, right, bottom, left] = this.rootMargin.split(' ').map((margin, index) => {
+            const value = parseFloat(margin);
+            return margin.slice(-1) === '%' ? value / 100 * (index % 2 ? rect.width : rect.height) : value;
+        });
+        return createRect(rect.top - top, rect.right + right, rect.bottom + bottom, rect.left - left);
+    }
+
+    createEntry(target, rootRect) {
+        const { top, right, bottom, left } = target.getBoundingClientRect();
+        const boundingClientRect = createRect(top, right, bottom, left);
+        const intersectionRect = getIntersectionRect(rootRect, boundingClientRect);
+        const targetArea = boundingClientRect.width * boundingClientRect.height;
+        let intersectionRatio = 0;
+        if (intersectionRect) {
+            intersectionRatio = targetArea ? intersectionRect.width * intersectionRect.height / targetArea : 1;
+        }
+        return {
+            time: now(),
+            target,
+            rootBounds: rootRect,
+            boundingClientRect,
+            intersectionRect: intersectionRect || createRect(0, 0, 0, 0),
+            intersectionRatio,
+            isIntersecting: intersectionRect !== null,
+        };
+    }
+
+    hasCrossedThreshold(prevEntry, entry) {
+        const prevRatio = prevEntry.isIntersecting ? prevEntry.intersectionRatio : -1;
+        const ratio = entry.isIntersecting ? entry.intersectionRatio : -1;
+        if (prevRatio === ratio) {
+            return false;
+        }
+        return this.thresholds.some(
+            threshold => threshold === prevRatio || threshold === ratio || threshold < prevRatio !== threshold < ratio,
+        );
+    }
+}
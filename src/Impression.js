@@ -0,0 +1,108 @@
+import React from 'react';
+import PropTypes from 'prop-types';
+import invariant from 'invariant';
+import IntersectionObserver from './IntersectionObserver';
+import { ImpressionContext } from './ImpressionTracker';
+import { getEntryTimestamp } from './utils';
+import { viewabilityStandards } from './viewability';
+
+/**
+ * Tracks an impression of its child with the closest `ImpressionTracker` once the child is viewable according to the
+ * MRC viewability standard. Each `id` is tracked once, and the observer options and viewability props are passed on
+ * to the observer component.
+ */
+export default class Impression extends React.Component {
+    static displayName = 'Impression';
+
+    static contextType = ImpressionContext;
+
+    static propTypes = {
+        /**
+         * Identifies the impression, which is tracked once per id.
+         */
+        id: PropTypes.oneOfType([PropTypes.string, PropTypes.number]).isRequired,
+
+        /**
+         * Data sent along with the impression.
+         */
+        payload: PropTypes.any,
+
+        /**
+         * The element that is used as the target to observe.
+         */
+        children: PropTypes.element.isRequired,
+
+        /**
+         * Controls whether the element should stop being observed.
+         * Defaults to false.
+         */
+        disabled: PropTypes.bool,
+
+        /**
+         * The element that is used as the viewport, as a selector or as the element itself.
+         */
+        root: PropTypes.oneOfType([PropTypes.string, PropTypes.object]),
+
+        /**
+         * Margin around the root, similar to the CSS margin property.
+         */
+        rootMargin: PropTypes.string,
+
+        /**
+         * When true, the observer tracks whether the target is actually visible.
+         */
+        trackVisibility: PropTypes.bool,
+
+        /**
+         * Minimum delay in milliseconds between notifications when tracking visibility.
+         */
+        delay: PropTypes.number,
+
+        /**
+         * Name of the prop used to retrieve the DOM node of the child element.
+         */
+        refProp: PropTypes.string,
+
+        /**
+         * MRC viewability standard the impression is tracked against, "display" or "video".
+         */
+        viewabilityStandard: PropTypes.oneOf(Object.keys(viewabilityStandards)),
+
+        /**
+         * Time interval in milliseconds the child has to stay in view continuously.
+         */
+        waitTime: PropTypes.number,
+    };
+
+    handleCertifiedView = (entry, unobserve) => {
+        this.context.track(this.props.id, this.props.payload, getEntryTimestamp(entry));
+        unobserve();
+    };
+
+    render() {
+        // eslint-disable-next-line no-undef
+        if (process.env.NODE_ENV !== 'production') {
+            invariant(
+                this.context,
+                'ReactIntersectionObserver: Impression needs to be rendered within an ImpressionTracker.',
+            );
+        }
+        const { id, disabled, children } = this.props;
+
+        return (
+            <IntersectionObserver
+                root={this.props.root}
+                rootMargin={this.props.rootMargin}
+                trackVisibility={this.props.trackVisibility}
+                delay={this.props.delay}
+                refProp={this.props.refProp}
+                viewabilityStandard={this.props.viewabilityStandard}
+                waitTime={this.props.waitTime}
+                disabled={disabled || this.context.isTracked(id)}
+                onCertifiedView={this.handleCertifiedView}
+            >
+                {children}
+            </IntersectionObserver>
+        );
+    }
+}
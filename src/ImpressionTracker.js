@@ -0,0 +1,80 @@
+import React from 'react';
+import PropTypes from 'prop-types';
+import { createImpressionQueue } from './impressions';
+
+export const ImpressionContext = React.createContext(null);
+
+/**
+ * Provider collecting the impressions of every `Impression` rendered below, and sending them in batches through
+ * `transport`.
+ */
+export default class ImpressionTracker extends React.Component {
+    static displayName = 'ImpressionTracker';
+
+    static propTypes = {
+        /**
+         * Function sending a batch of impressions `{ id, payload, timestamp }`, returning false or a rejected promise
+         * when it failed, e.g. `beaconTransport(url)` or `fetchTransport(url)`.
+         */
+        transport: PropTypes.func.isRequired,
+
+        /**
+         * Maximum number of impressions sent at once. A full batch is sent right away.
+         * Defaults to 20.
+         */
+        batchSize: PropTypes.number,
+
+        /**
+         * Time in milliseconds to wait for more impressions before sending a batch.
+         * Defaults to 5000.
+         */
+        flushInterval: PropTypes.number,
+
+        /**
+         * Number of times a batch is sent again after failing.
+         * Defaults to 3.
+         */
+        maxRetries: PropTypes.number,
+
+        /**
+         * Time in milliseconds to wait before sending a batch again, doubled on every attempt.
+         * Defaults to 1000.
+         */
+        retryDelay: PropTypes.number,
+
+        /**
+         * Layer created by `createDedupe`, not counting ids seen within its time to live again, e.g. before a reload
+         * or in another tab.
+         */
+        dedupe: PropTypes.shape({
+            has: PropTypes.func.isRequired,
+            claim: PropTypes.func.isRequired,
+        }),
+
+        children: PropTypes.node,
+    };
+
+    constructor(props) {
+        super(props);
+        this.queue = createImpressionQueue({
+            transport: events => this.props.transport(events),
+            batchSize: props.batchSize,
+            flushInterval: props.flushInterval,
+            maxRetries: props.maxRetries,
+            retryDelay: props.retryDelay,
+            dedupe: props.dedupe,
+        });
+    }
+
+    componentDidMount() {
+        this.queue.start();
+    }
+
+    componentWillUnmount() {
+        this.queue.stop();
+    }
+
+    render() {
+        return <ImpressionContext.Provider value={this.queue}>{this.props.children}</ImpressionContext.Provider>;
+    }
+}
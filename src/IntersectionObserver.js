@@ -3,36 +3,92 @@ import { findDOMNode } from 'react-dom';
 import PropTypes from 'prop-types';
 import invariant from 'invariant';
 import warning from 'warning';
-import { createObserver, observeElement, unobserveElement } from './observer';
-import { isDOMTypeElement, shallowCompare } from './utils';
+import { ConsentContext } from './ConsentProvider';
+import { createDwellTracker } from './dwell';
+import { createHeartbeat } from './heartbeat';
+import { observeElement, unobserveElement } from './observer';
+import { isEntryInView, observerOptions, shallowCompare } from './utils';
+import { createViewabilityTracker, getRuleKey, getStandardRule, viewabilityStandards } from './viewability';
 
-const observerOptions = ['root', 'rootMargin', 'threshold'];
 const observerProps = ['disabled'].concat(observerOptions);
 const objectProto = Object.prototype;
 
+function getViewabilityRules({ onCertifiedView, viewabilityStandard, waitTime, certifications }) {
+    const rules = onCertifiedView ? [getStandardRule(viewabilityStandard, waitTime)] : [];
+    return certifications ? rules.concat(certifications) : rules;
+}
+
 export default class IntersectionObserver extends React.Component {
     static displayName = 'IntersectionObserver';
 
+    static contextType = ConsentContext;
+
     constructor(props) {
         super(props);
         this.isEntered = false;
         this.minThreshold = 0;
+        this.lastEntry = null;
+        this.state = {
+            inView: props.initialInView,
+            entry: null,
+        };
     }
 
     static propTypes = {
         /**
          * The element that is used as the target to observe.
+         * Can be specified as a function receiving `{ ref, inView, entry, unobserve }`, in which case it is called again
+         * whenever the visibility of the target changes. The returned element is required to pass `ref` to the target.
+         * Can be any node when rendering a wrapper element with `as` or observing an external `target`.
+         */
+        children(props, ...rest) {
+            const propType =
+                props.as || props.target != null
+                    ? PropTypes.oneOfType([PropTypes.node, PropTypes.func])
+                    : PropTypes.oneOfType([PropTypes.element, PropTypes.func]).isRequired;
+            return propType(props, ...rest);
+        },
+
+        /**
+         * The element to observe instead of the child, for elements not rendered by this component.
+         * Can be specified as a DOM element, a ref object or a string for selector matching within the document.
+         */
+        target: PropTypes.oneOfType([PropTypes.string, PropTypes.object]),
+
+        /**
+         * Tag name of a wrapper element to render around children and observe instead of the child,
+         * for children that can neither take nor forward refs.
+         */
+        as: PropTypes.string,
+
+        /**
+         * Class name passed to the wrapper element rendered with `as`.
+         */
+        className: PropTypes.string,
+
+        /**
+         * Style passed to the wrapper element rendered with `as`.
+         */
+        style: PropTypes.object,
+
+        /**
+         * Name of the prop used to retrieve the DOM node of the child element, for components that pass a
+         * ref callback down to their root DOM node through a prop such as `innerRef`.
+         * Defaults to "ref", which works with DOM elements and components using forwardRef.
          */
-        children: PropTypes.element.isRequired,
+        refProp: PropTypes.string,
 
         /**
          * The element that is used as the viewport for checking visibility of the target.
          * Can be specified as string for selector matching within the document.
          * Defaults to the browser viewport if not specified or if null.
          */
-        root: PropTypes.oneOfType(
-            [PropTypes.string].concat(typeof HTMLElement === 'undefined' ? [] : PropTypes.instanceOf(HTMLElement)),
-        ),
+        root(props, ...rest) {
+            const propType = PropTypes.oneOfType(
+                [PropTypes.string].concat(typeof HTMLElement === 'undefined' ? [] : PropTypes.instanceOf(HTMLElement)),
+            );
+            return propType(props, ...rest);
+        },
 
         /**
          * Margin around the root. Can have values similar to the CSS margin property,
@@ -55,6 +111,21 @@ export default class IntersectionObserver extends React.Component {
          */
         threshold: PropTypes.oneOfType([PropTypes.number, PropTypes.arrayOf(PropTypes.number)]),
 
+        /**
+         * When true, the observer tracks whether the target is actually visible, i.e. neither occluded by other
+         * content nor visually altered by transforms or filters, and reports it as `isVisible` on the entries.
+         * Requires the second version of the IntersectionObserver API, and a `delay` of at least 100.
+         * Ignored with a warning in browsers lacking support, where entries come without `isVisible`.
+         * Defaults to false.
+         */
+        trackVisibility: PropTypes.bool,
+
+        /**
+         * Minimum delay in milliseconds between notifications for the target when tracking visibility.
+         * Defaults to 0.
+         */
+        delay: PropTypes.number,
+
         /**
          * When true indicate that events fire only until the element is intersecting.
          * Different browsers behave differently towards the isIntersecting property, make sure
@@ -69,10 +140,23 @@ export default class IntersectionObserver extends React.Component {
          */
         disabled: PropTypes.bool,
 
+        /**
+         * Visibility passed to children given as a function until the first change, e.g. to render the same markup
+         * on the server and the client.
+         * Defaults to false.
+         */
+        initialInView: PropTypes.bool,
+
         /**
          * Function that will be invoked whenever the intersection value for this element changes.
+         * Optional when children is a function, or when certifying views.
          */
-        onChange: PropTypes.func.isRequired,
+        onChange(props, ...rest) {
+            const optional =
+                typeof props.children === 'function' || props.onCertifiedView != null || props.certifications != null;
+            const propType = optional ? PropTypes.func : PropTypes.func.isRequired;
+            return propType(props, ...rest);
+        },
 
         /**
          * Function that will be invoked whenever the intersection ratio for this element goes above least value of threshold
@@ -85,14 +169,86 @@ export default class IntersectionObserver extends React.Component {
         onExit: PropTypes.func,
 
         /**
-         * Function that will be invoked after specified waitTime after entry.
+         * Function that will be invoked once the element is viewable according to `viewabilityStandard`, receiving
+         * the entry, the function to unobserve and the measurement: `{ standard, ratio, duration, continuousTime,
+         * cumulativeTime }`. Time is not counted while the page is hidden.
          */
         onCertifiedView: PropTypes.func,
 
         /**
-         * Time interval in miliseconds to wait after entry to call certified view.
+         * MRC viewability standard to certify views against: "display" requires 50% of the element in view for 1
+         * second continuously, or 30% for elements of at least 242,500 pixels, and "video" 50% for 2 seconds.
+         * Defaults to "display".
+         */
+        viewabilityStandard: PropTypes.oneOf(Object.keys(viewabilityStandards)),
+
+        /**
+         * Time interval in milliseconds the element has to stay in view continuously to call certified view.
+         * Defaults to the duration of the `viewabilityStandard`.
          */
         waitTime: PropTypes.number,
+
+        /**
+         * Rules certifying views of the element, each of them measured with its own timer:
+         * `{ id, ratio, duration, mode }`, where `ratio` is the minimum ratio of the element in view (defaults to 0,
+         * i.e. any pixel), `duration` the time in milliseconds it has to be in view, and `mode` either "continuous"
+         * or "cumulative", adding up every period in view. Defaults to "continuous".
+         */
+        certifications: PropTypes.arrayOf(
+            PropTypes.shape({
+                id: PropTypes.oneOfType([PropTypes.string, PropTypes.number]).isRequired,
+                ratio: PropTypes.number,
+                duration: PropTypes.number.isRequired,
+                mode: PropTypes.oneOf(['continuous', 'cumulative']),
+            }),
+        ),
+
+        /**
+         * Function that will be invoked once for each of the `certifications`, receiving the entry, the function to
+         * unobserve and the measurement: `{ id, mode, ratio, duration, continuousTime, cumulativeTime }`.
+         */
+        onCertification: PropTypes.func,
+
+        /**
+         * Function that will be invoked with the time the element spent in view, receiving `{ reason, dwellTime,
+         * visitTime }`: when the element leaves the view (reason "exit"), when the page is unloaded ("unload") and
+         * when unmounting ("unmount"). `dwellTime` is the total time in milliseconds since the element was first
+         * observed, and `visitTime` the time of the last visit. Time is not counted while the page is hidden.
+         */
+        onDwell: PropTypes.func,
+
+        /**
+         * Minimum ratio of the element in view to count dwell time.
+         * Defaults to 0, i.e. any pixel.
+         */
+        dwellThreshold: PropTypes.number,
+
+        /**
+         * Function that will be invoked every `interval` milliseconds while the element is in view, i.e. intersecting
+         * by at least the lowest threshold, and the page is visible. Receives the entry that brought the element into
+         * view, the function to unobserve and `{ count }`, the number of heartbeats so far.
+         */
+        onHeartbeat: PropTypes.func,
+
+        /**
+         * Time in milliseconds between heartbeats.
+         * Defaults to 5000.
+         */
+        interval: PropTypes.number,
+
+        /**
+         * Function scheduling the delivery of the entries, e.g. created once with `animationFrameScheduler()`,
+         * `idleScheduler({ timeout })` or `frameBudgetScheduler({ budget })`. Entries of a target unobserved in the
+         * meantime are dropped.
+         * Defaults to the scheduler configured with `setScheduler`, delivering the entries synchronously.
+         */
+        scheduler: PropTypes.func,
+    };
+
+    static defaultProps = {
+        initialInView: false,
+        refProp: 'ref',
+        viewabilityStandard: 'display',
     };
 
     get options() {
@@ -105,6 +261,21 @@ export default class IntersectionObserver extends React.Component {
         }, {});
     }
 
+    /**
+     * Scheduler the pool delivers the entries with.
+     */
+    get scheduler() {
+        return this.props.scheduler;
+    }
+
+    get targetNode() {
+        const { target } = this.props;
+        if (objectProto.toString.call(target) === '[object String]') {
+            return document.querySelector(target);
+        }
+        return target != null && 'current' in target ? target.current : target;
+    }
+
     setMinThreshold = () => {
         if (Array.isArray(this.props.threshold)) {
             this.minThreshold = this.props.threshold.reduce((a, b) => {
@@ -119,20 +290,26 @@ export default class IntersectionObserver extends React.Component {
         if (this.props.onEntry && !this.isEntered && event.intersectionRatio >= this.minThreshold) {
             this.props.onEntry(event, this.unobserve);
             this.isEntered = true;
-            this.waitForCertifiedView = setTimeout(() => {
-                if (this.props.onCertifiedView) {
-                    this.props.onCertifiedView(event, this.unobserve);
-                }
-            }, this.props.waitTime);
         }
 
         if (this.props.onExit && this.isEntered && event.intersectionRatio < this.minThreshold) {
             this.props.onExit(event, this.unobserve);
             this.isEntered = false;
-            clearTimeout(this.waitForCertifiedView);
         }
 
-        this.props.onChange(event, this.unobserve);
+        if (this.props.onChange) {
+            this.props.onChange(event, this.unobserve);
+        }
+
+        this.lastEntry = event;
+        if (this.heartbeat) {
+            this.heartbeat.update(event, isEntryInView(event, this.props.threshold));
+        }
+
+        if (typeof this.props.children === 'function') {
+            const inView = isEntryInView(event, this.props.threshold);
+            this.setState(prevState => (prevState.inView === inView ? null : { inView, entry: event }));
+        }
 
         if (this.props.onlyOnce) {
             // eslint-disable-next-line no-undef
@@ -155,11 +332,101 @@ export default class IntersectionObserver extends React.Component {
         }
     };
 
+    /**
+     * Tracking callbacks pass through the gate of the closest ConsentProvider.
+     */
+    callTracking(callback, ...args) {
+        if (this.context) {
+            this.context.call(callback, ...args);
+        } else {
+            callback(...args);
+        }
+    }
+
+    handleViewable = (entry, rule, measurement) => {
+        this.callTracking(this.handleCertification, entry, rule, measurement);
+    };
+
+    handleCertification = (entry, rule, measurement) => {
+        if (rule.standard) {
+            if (this.props.onCertifiedView) {
+                this.props.onCertifiedView(entry, this.unobserve, { standard: rule.standard, ...measurement });
+            }
+        } else if (this.props.onCertification) {
+            this.props.onCertification(entry, this.unobserve, {
+                id: rule.id,
+                mode: rule.mode || 'continuous',
+                ...measurement,
+            });
+        }
+    };
+
+    observeViewability() {
+        const rules = getViewabilityRules(this.props);
+        if (rules.length === 0 && !this.viewability) {
+            return;
+        }
+        if (!this.viewability) {
+            this.viewability = createViewabilityTracker(this.handleViewable);
+        }
+        const { root, rootMargin } = this.options;
+        this.viewability.observe(this.target, { root, rootMargin }, rules);
+    }
+
+    handleDwell = dwell => {
+        if (this.props.onDwell) {
+            this.callTracking(this.props.onDwell, dwell);
+        }
+    };
+
+    observeDwell() {
+        if (!this.props.onDwell) {
+            return;
+        }
+        if (!this.dwell) {
+            this.dwell = createDwellTracker(this.handleDwell);
+        }
+        const { root, rootMargin } = this.options;
+        this.dwell.observe(this.target, { root, rootMargin }, this.props.dwellThreshold);
+    }
+
+    handleHeartbeat = (entry, heartbeat) => {
+        if (this.props.onHeartbeat) {
+            this.callTracking(this.props.onHeartbeat, entry, this.unobserve, heartbeat);
+        }
+    };
+
+    observeHeartbeat() {
+        if (!this.props.onHeartbeat) {
+            return;
+        }
+        if (!this.heartbeat) {
+            this.heartbeat = createHeartbeat(this.handleHeartbeat);
+            // onHeartbeat given after mount, to a target in view already
+            if (this.lastEntry) {
+                this.heartbeat.update(this.lastEntry, isEntryInView(this.lastEntry, this.props.threshold));
+            }
+        }
+        this.heartbeat.start(this.props.interval);
+    }
+
+    /**
+     * Total time in milliseconds the element spent in view, as measured for `onDwell`.
+     * @returns {number}
+     */
+    getDwellTime() {
+        return this.dwell ? this.dwell.getDwellTime() : 0;
+    }
+
     handleNode = target => {
         /**
          * Forward hijacked ref to user.
          */
-        const nodeRef = this.props.children.ref;
+        const { as, children, refProp } = this.props;
+        let nodeRef = null;
+        if (!as && React.isValidElement(children)) {
+            nodeRef = refProp === 'ref' ? children.ref : children.props[refProp];
+        }
         if (nodeRef) {
             if (typeof nodeRef === 'function') {
                 nodeRef(target);
@@ -180,24 +447,52 @@ export default class IntersectionObserver extends React.Component {
     };
 
     observe = () => {
-        this.target = isDOMTypeElement(this.target) ? this.target : findDOMNode(this.target);
-        this.observer = createObserver(this.options);
-        observeElement(this);
+        if (this.target != null && this.target.nodeType !== 1) {
+            // eslint-disable-next-line no-undef
+            if (process.env.NODE_ENV !== 'production') {
+                warning(
+                    false,
+                    'ReactIntersectionObserver: [deprecation] Looking up the DOM node of a component instance relies on findDOMNode, which is deprecated in StrictMode. Use forwardRef in the child component or pass the DOM node through the prop named by refProp instead.',
+                );
+            }
+            this.target = findDOMNode(this.target);
+        }
+        // eslint-disable-next-line no-undef
+        if (process.env.NODE_ENV !== 'production') {
+            invariant(
+                this.target != null || this.props.target != null,
+                'ReactIntersectionObserver: Cannot find a DOM node to observe. Function components need to forward their ref to a DOM element with forwardRef, or pass it on through the prop named by refProp.',
+            );
+        }
+        if (this.target == null) {
+            return;
+        }
+        observeElement(this, this.options);
+        this.observeViewability();
+        this.observeDwell();
+        this.observeHeartbeat();
     };
 
     unobserve = () => {
         if (this.target != null) {
             unobserveElement(this);
         }
+        if (this.viewability) {
+            this.viewability.unobserve();
+        }
+        if (this.dwell) {
+            this.dwell.unobserve();
+        }
+        this.lastEntry = null;
+        if (this.heartbeat) {
+            this.heartbeat.stop();
+            this.heartbeat.update(null, false);
+        }
     };
 
     componentDidMount() {
-        // eslint-disable-next-line no-undef
-        if (process.env.NODE_ENV !== 'production' && parseInt(React.version, 10) < 16) {
-            invariant(
-                this.target,
-                'Stateless function components cannot be given refs. Attempts to access this ref will fail.',
-            );
+        if (this.props.target != null) {
+            this.target = this.targetNode;
         }
         if (!this.props.disabled) {
             this.observe();
@@ -206,6 +501,15 @@ export default class IntersectionObserver extends React.Component {
     }
 
     componentDidUpdate(prevProps) {
+        if (this.props.target != null) {
+            const target = this.targetNode;
+            this.targetChanged = target !== this.target;
+            if (this.targetChanged) {
+                this.unobserve();
+                this.target = target;
+            }
+        }
+
         const propsChanged = observerProps.some(prop => shallowCompare(this.props[prop], prevProps[prop]));
 
         if (propsChanged) {
@@ -216,19 +520,70 @@ export default class IntersectionObserver extends React.Component {
             if (!this.props.disabled) {
                 this.observe();
             }
+        } else if (this.target != null && !this.props.disabled) {
+            const rulesChanged = shallowCompare(
+                getViewabilityRules(this.props).map(getRuleKey),
+                getViewabilityRules(prevProps).map(getRuleKey),
+            );
+            if (rulesChanged) {
+                if (this.viewability) {
+                    this.viewability.unobserve();
+                }
+                this.observeViewability();
+            }
+            const dwellChanged =
+                Boolean(this.props.onDwell) !== Boolean(prevProps.onDwell) ||
+                this.props.dwellThreshold !== prevProps.dwellThreshold;
+            if (dwellChanged) {
+                if (this.dwell) {
+                    this.dwell.unobserve();
+                }
+                this.observeDwell();
+            }
+            if (this.props.onHeartbeat) {
+                this.observeHeartbeat();
+            } else if (this.heartbeat) {
+                this.heartbeat.stop();
+            }
         }
         this.setMinThreshold();
     }
 
     componentWillUnmount() {
+        if (this.dwell && this.props.onDwell) {
+            this.dwell.report('unmount');
+        }
         this.unobserve();
     }
 
     render() {
         this.renderedTarget = this.target; // this value is null on the first render
 
-        return React.cloneElement(React.Children.only(this.props.children), {
-            ref: this.handleNode,
+        const { as: Tag, children, className, style, refProp } = this.props;
+        const renderState = {
+            inView: this.state.inView,
+            entry: this.state.entry,
+            unobserve: this.unobserve,
+        };
+
+        if (Tag) {
+            return (
+                <Tag ref={this.handleNode} className={className} style={style}>
+                    {typeof children === 'function' ? children(renderState) : children}
+                </Tag>
+            );
+        }
+
+        if (this.props.target != null) {
+            return typeof children === 'function' ? children(renderState) : children || null;
+        }
+
+        if (typeof children === 'function') {
+            return children({ ref: this.handleNode, ...renderState });
+        }
+
+        return React.cloneElement(React.Children.only(children), {
+            [refProp]: this.handleNode,
         });
     }
 }
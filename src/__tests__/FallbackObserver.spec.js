@@ -0,0 +1,139 @@
+/* eslint-env jest */
+import FallbackObserver from '../FallbackObserver';
+
+jest.useFakeTimers();
+
+function createElement(top, left, height, width) {
+    const element = document.createElement('div');
+    element.getBoundingClientRect = () => ({ top, left, bottom: top + height, right: left + width, height, width });
+    return element;
+}
+
+function moveElement(element, top, left) {
+    const { height, width } = element.getBoundingClientRect();
+    element.getBoundingClientRect = () => ({ top, left, bottom: top + height, right: left + width, height, width });
+}
+
+function scroll() {
+    window.dispatchEvent(new Event('scroll'));
+    jest.runOnlyPendingTimers();
+}
+
+// jsdom's viewport is 1024x768
+const viewportHeight = window.innerHeight;
+
+test('normalizes the options like the native API', () => {
+    const root = createElement(0, 0, 100, 100);
+    const observer = new FallbackObserver(() => {}, { root, rootMargin: '10px', threshold: [1, 0, 0.5] });
+
+    expect(observer.root).toBe(root);
+    expect(observer.rootMargin).toBe('10px 10px 10px 10px');
+    expect(observer.thresholds).toEqual([0, 0.5, 1]);
+    expect(new FallbackObserver(() => {}).thresholds).toEqual([0]);
+});
+
+test('delivers an initial entry for every observed target', () => {
+    const spy = jest.fn();
+    const observer = new FallbackObserver(spy);
+    const target1 = createElement(0, 0, 100, 100);
+    const target2 = createElement(viewportHeight + 100, 0, 100, 100);
+    observer.observe(target1);
+    observer.observe(target2);
+
+    expect(spy).not.toBeCalled();
+
+    jest.runOnlyPendingTimers();
+
+    expect(spy).toHaveBeenCalledTimes(1);
+    const [entries, instance] = spy.mock.calls[0];
+    expect(instance).toBe(observer);
+    expect(entries).toHaveLength(2);
+    expect(entries[0]).toMatchObject({ target: target1, isIntersecting: true, intersectionRatio: 1 });
+    expect(entries[1]).toMatchObject({ target: target2, isIntersecting: false, intersectionRatio: 0 });
+    expect(Object.keys(entries[0]).sort()).toEqual([
+        'boundingClientRect',
+        'intersectionRatio',
+        'intersectionRect',
+        'isIntersecting',
+        'rootBounds',
+        'target',
+        'time',
+    ]);
+});
+
+test('delivers entries on scroll only when a threshold is crossed', () => {
+    const spy = jest.fn();
+    const observer = new FallbackObserver(spy, { threshold: [0, 0.5] });
+    const target = createElement(viewportHeight + 100, 0, 100, 100);
+    observer.observe(target);
+    jest.runOnlyPendingTimers();
+
+    moveElement(target, viewportHeight - 25, 0);
+    scroll();
+
+    expect(spy).toHaveBeenCalledTimes(2);
+    expect(spy.mock.calls[1][0][0]).toMatchObject({ isIntersecting: true, intersectionRatio: 0.25 });
+
+    moveElement(target, viewportHeight - 30, 0);
+    scroll();
+
+    expect(spy).toHaveBeenCalledTimes(2);
+
+    moveElement(target, viewportHeight - 75, 0);
+    scroll();
+
+    expect(spy).toHaveBeenCalledTimes(3);
+    expect(spy.mock.calls[2][0][0].intersectionRatio).toBe(0.75);
+});
+
+test('throttles checks while scrolling', () => {
+    const observer = new FallbackObserver(() => {});
+    observer.observe(createElement(0, 0, 100, 100));
+    jest.runOnlyPendingTimers();
+    const spy = jest.spyOn(observer, 'getMarginedRootRect');
+
+    window.dispatchEvent(new Event('scroll'));
+    window.dispatchEvent(new Event('scroll'));
+    window.dispatchEvent(new Event('resize'));
+    jest.runOnlyPendingTimers();
+
+    expect(spy).toHaveBeenCalledTimes(1);
+});
+
+test('intersects with the root given', () => {
+    const spy = jest.fn();
+    const root = createElement(100, 100, 100, 100);
+    const observer = new FallbackObserver(spy, { root });
+    const target = createElement(150, 100, 100, 100);
+    observer.observe(target);
+    jest.runOnlyPendingTimers();
+    const [entry] = spy.mock.calls[0][0];
+
+    expect(entry.intersectionRatio).toBe(0.5);
+    expect(entry.intersectionRect).toMatchObject({ top: 150, bottom: 200, height: 50, width: 100 });
+    expect(entry.rootBounds).toMatchObject({ top: 100, left: 100, height: 100, width: 100 });
+});
+
+test('grows the root by the rootMargin', () => {
+    const spy = jest.fn();
+    const root = createElement(100, 100, 100, 100);
+    const observer = new FallbackObserver(spy, { root, rootMargin: '50% 10px' });
+    const target = createElement(150, 100, 200, 100);
+    observer.observe(target);
+    jest.runOnlyPendingTimers();
+    const [entry] = spy.mock.calls[0][0];
+
+    expect(entry.rootBounds).toMatchObject({ top: 50, bottom: 250, left: 90, right: 210 });
+    expect(entry.intersectionRatio).toBe(0.5);
+});
+
+test('stops listening once all targets are unobserved', () => {
+    const spy = jest.fn();
+    const observer = new FallbackObserver(spy);
+    const target = createElement(0, 0, 100, 100);
+    observer.observe(target);
+    observer.unobserve(target);
+    scroll();
+
+    expect(spy).not.toBeCalled();
+});
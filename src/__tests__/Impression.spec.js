@@ -0,0 +1,152 @@
+/* eslint-env jest */
+import 'intersection-observer';
+import React from 'react';
+import renderer from 'react-test-renderer';
+import Impression from '../Impression';
+import ImpressionTracker from '../ImpressionTracker';
+import IntersectionObserver from '../IntersectionObserver';
+import { observerElementsMap } from '../observer';
+import { deliverEntries, flushPromises, mockObservation, restoreObservation } from './helpers';
+
+jest.useFakeTimers();
+
+const target = { nodeType: 1 };
+const entry = { target, isIntersecting: true, intersectionRatio: 1, boundingClientRect: { width: 1, height: 1 } };
+let clock = 0;
+
+function tick(ms) {
+    clock += ms;
+    jest.runTimersToTime(ms);
+}
+
+function render(element) {
+    return renderer.create(element, { createNodeMock: () => target });
+}
+
+function view() {
+    deliverEntries([entry]);
+    tick(1000);
+}
+
+beforeEach(() => {
+    jest.spyOn(Date, 'now').mockImplementation(() => clock);
+    mockObservation();
+});
+
+afterEach(() => {
+    restoreObservation();
+    Date.now.mockRestore();
+    observerElementsMap.clear();
+});
+
+test('tracks an impression once the child is viewable', () => {
+    const transport = jest.fn();
+    render(
+        <ImpressionTracker transport={transport} flushInterval={1000}>
+            <Impression id="ad-1" payload={{ slot: 'top' }}>
+                <div />
+            </Impression>
+        </ImpressionTracker>,
+    );
+    view();
+
+    expect(observerElementsMap.size).toBe(0);
+
+    tick(1000);
+
+    return flushPromises().then(() => {
+        expect(transport).toHaveBeenCalledTimes(1);
+        expect(transport).toHaveBeenCalledWith([{ id: 'ad-1', payload: { slot: 'top' }, timestamp: 1000 }]);
+    });
+});
+
+test('tracks each id once', () => {
+    const transport = jest.fn();
+    const tree = render(
+        <ImpressionTracker transport={transport}>
+            <Impression id="ad-1">
+                <div />
+            </Impression>
+            <Impression id="ad-1">
+                <div />
+            </Impression>
+        </ImpressionTracker>,
+    );
+    view();
+    tree.unmount();
+
+    return flushPromises().then(() => {
+        expect(transport.mock.calls[0][0]).toHaveLength(1);
+    });
+});
+
+test('does not observe ids tracked already', () => {
+    const tree = render(<ImpressionTracker transport={jest.fn()} />);
+    tree.getInstance().queue.track('ad-1');
+    tree.update(
+        <ImpressionTracker transport={jest.fn()}>
+            <Impression id="ad-1">
+                <div />
+            </Impression>
+            <Impression id="ad-2">
+                <div />
+            </Impression>
+        </ImpressionTracker>,
+    );
+    const [impression1, impression2] = tree.root.findAllByType(IntersectionObserver);
+
+    expect(impression1.props.disabled).toBe(true);
+    expect(impression2.props.disabled).toBe(false);
+});
+
+test('passes the observer options on', () => {
+    const tree = render(
+        <ImpressionTracker transport={jest.fn()}>
+            <Impression
+                id="ad-1"
+                payload={{ slot: 'top' }}
+                rootMargin="10px"
+                viewabilityStandard="video"
+                waitTime={500}
+            >
+                <div />
+            </Impression>
+        </ImpressionTracker>,
+    );
+    const { props } = tree.root.findByType(IntersectionObserver);
+
+    expect(props).toMatchObject({ rootMargin: '10px', viewabilityStandard: 'video', waitTime: 500 });
+    expect(props).not.toHaveProperty('id');
+    expect(props).not.toHaveProperty('payload');
+});
+
+test('flushes the impressions left on unmount', () => {
+    const transport = jest.fn();
+    const tree = render(
+        <ImpressionTracker transport={transport}>
+            <Impression id="ad-1">
+                <div />
+            </Impression>
+        </ImpressionTracker>,
+    );
+    view();
+    tree.unmount();
+
+    return flushPromises().then(() => {
+        expect(transport).toHaveBeenCalledTimes(1);
+    });
+});
+
+test('throws outside of an ImpressionTracker', () => {
+    jest.spyOn(global.console, 'error').mockImplementation(() => {});
+
+    expect(() =>
+        render(
+            <Impression id="ad-1">
+                <div />
+            </Impression>,
+        ),
+    ).toThrow('Impression needs to be rendered within an ImpressionTracker');
+
+    global.console.error.mockRestore();
+});
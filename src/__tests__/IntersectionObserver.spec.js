@@ -1,26 +1,24 @@
 /* eslint-env jest */
 import 'intersection-observer';
 import React from 'react';
+import ReactDOM from 'react-dom';
+import PropTypes from 'prop-types';
 import renderer from 'react-test-renderer';
 import IntersectionObserver from '../IntersectionObserver';
 import { callback, findObserverElement, observerElementsMap } from '../observer';
-
-function mockUtilsFunctions() {
-    const utils = require.requireActual('../utils');
-    return {
-        ...utils,
-        isDOMTypeElement() {
-            return true;
-        },
-    };
-}
-
-jest.mock('../utils', () => mockUtilsFunctions());
+import { deliverEntries, mockObservation, restoreObservation } from './helpers';
+import List from './List';
 
 const noop = () => {};
 const target = { nodeType: 1 };
 const propTypes = IntersectionObserver.propTypes;
 
+function StatelessComponent({ innerRef }) {
+    return <span ref={innerRef} />;
+}
+
+StatelessComponent.propTypes = { innerRef: PropTypes.func };
+
 beforeAll(() => {
     IntersectionObserver.propTypes = {};
 });
@@ -44,21 +42,6 @@ test('throws when the property children is not an only child', () => {
     expect(() => renderer.create(component)).toThrowErrorMatchingSnapshot();
 });
 
-test('throws on mount if children is StatelessComponent in React 15', () => {
-    global.spyOn(console, 'error');
-    const { version } = React;
-    const StatelessComponent = () => <span />;
-    const component = (
-        <IntersectionObserver onChange={noop}>
-            <StatelessComponent />
-        </IntersectionObserver>
-    );
-
-    React.version = '15.4.0';
-    expect(() => renderer.create(component)).toThrowErrorMatchingSnapshot();
-    React.version = version;
-});
-
 test('should call ref callback of children', () => {
     const spy = jest.fn();
     const component = (
@@ -85,6 +68,65 @@ test('should handle children ref of type RefObject', () => {
     expect(ref.current).toEqual(target);
 });
 
+describe('target node', () => {
+    test('should observe the DOM node of a child using forwardRef', () => {
+        const Forwarded = React.forwardRef((props, ref) => <span ref={ref} />);
+        const spy = jest.spyOn(ReactDOM, 'findDOMNode');
+        const component = (
+            <IntersectionObserver onChange={noop}>
+                <Forwarded />
+            </IntersectionObserver>
+        );
+        const instance = renderer.create(component, { createNodeMock: () => target }).getInstance();
+
+        expect(instance.target).toBe(target);
+        expect(spy).not.toBeCalled();
+        spy.mockRestore();
+    });
+
+    test('should retrieve the DOM node through refProp', () => {
+        const spy = jest.fn();
+        const component = (
+            <IntersectionObserver onChange={noop} refProp="innerRef">
+                <StatelessComponent innerRef={spy} />
+            </IntersectionObserver>
+        );
+        const instance = renderer.create(component, { createNodeMock: () => target }).getInstance();
+
+        expect(instance.target).toBe(target);
+        expect(spy).toHaveBeenCalledWith(target);
+    });
+
+    test('should warn when falling back to findDOMNode for component instances', () => {
+        const spy1 = jest.spyOn(ReactDOM, 'findDOMNode').mockImplementation(() => target);
+        const spy2 = global.spyOn(console, 'error');
+        const component = (
+            <IntersectionObserver onChange={noop}>
+                <IntersectionObserver onChange={noop}>
+                    <span />
+                </IntersectionObserver>
+            </IntersectionObserver>
+        );
+        const instance = renderer.create(component, { createNodeMock: () => target }).getInstance();
+
+        expect(spy1).toBeCalled();
+        expect(instance.target).toBe(target);
+        expect(spy2.calls.first().args[0]).toContain('findDOMNode');
+        spy1.mockRestore();
+    });
+
+    test('throws when the child cannot provide a DOM node', () => {
+        global.spyOn(console, 'error');
+        const component = (
+            <IntersectionObserver onChange={noop}>
+                <StatelessComponent />
+            </IntersectionObserver>
+        );
+
+        expect(() => renderer.create(component)).toThrow('Cannot find a DOM node to observe');
+    });
+});
+
 test('options getter returns propTypes `root`, `rootMargin` and `threshold`', () => {
     const options = { root: { nodeType: 1 }, rootMargin: '50% 0%', threshold: [0, 1] };
     const component = (
@@ -98,6 +140,21 @@ test('options getter returns propTypes `root`, `rootMargin` and `threshold`', ()
     expect(tree.getInstance().options).toEqual(options);
 });
 
+test('options getter returns the visibility tracking options', () => {
+    const spy = jest.spyOn(global.console, 'error').mockImplementation(() => {});
+    const options = { trackVisibility: true, delay: 100 };
+    const component = (
+        <IntersectionObserver onChange={noop} {...options}>
+            <span />
+        </IntersectionObserver>
+    );
+
+    const tree = renderer.create(component, { createNodeMock: () => target });
+
+    expect(tree.getInstance().options).toEqual(options);
+    spy.mockRestore();
+});
+
 test("should save target in the observer targets' list on mount", () => {
     const component = (
         <IntersectionObserver onChange={noop}>
@@ -126,6 +183,148 @@ test("should remove target from the observer targets' list on umount", () => {
     expect(retrieved).toBeNull();
 });
 
+test('should share the observer of components with other thresholds on the same root and margin', () => {
+    const spy1 = jest.fn();
+    const spy2 = jest.fn();
+    const target1 = { nodeType: 1, id: 1 };
+    const target2 = { nodeType: 1, id: 2 };
+    const instance1 = renderer
+        .create(
+            <IntersectionObserver onChange={spy1} threshold={0.5}>
+                <span />
+            </IntersectionObserver>,
+            { createNodeMock: () => target1 },
+        )
+        .getInstance();
+    const instance2 = renderer
+        .create(
+            <IntersectionObserver onChange={spy2} threshold={[0, 1]}>
+                <span />
+            </IntersectionObserver>,
+            { createNodeMock: () => target2 },
+        )
+        .getInstance();
+    const createEntry = (node, ratio) => ({ target: node, isIntersecting: ratio > 0, intersectionRatio: ratio });
+
+    expect(instance1.observer).toBe(instance2.observer);
+    expect(observerElementsMap.size).toBe(1);
+
+    callback([createEntry(target1, 0.25), createEntry(target2, 0.25)], instance1.observer);
+    callback([createEntry(target1, 0.75), createEntry(target2, 0.75)], instance1.observer);
+
+    expect(spy1.mock.calls.map(([entry]) => entry.intersectionRatio)).toEqual([0.25, 0.75]);
+    expect(spy2.mock.calls.map(([entry]) => entry.intersectionRatio)).toEqual([0.25]);
+});
+
+test('should call every component observing the same node', () => {
+    const spy1 = jest.fn();
+    const spy2 = jest.fn();
+    const element = (
+        <IntersectionObserver onChange={spy1}>
+            <span />
+        </IntersectionObserver>
+    );
+    const tree1 = renderer.create(element, { createNodeMock: () => target });
+    const tree2 = renderer.create(React.cloneElement(element, { onChange: spy2 }), { createNodeMock: () => target });
+    const observer = tree2.getInstance().observer;
+    const spy = jest.spyOn(observer, 'unobserve');
+    const entry = { target, isIntersecting: true, intersectionRatio: 1 };
+    callback([entry], observer);
+
+    expect(spy1).toHaveBeenCalledWith(entry, tree1.getInstance().unobserve);
+    expect(spy2).toHaveBeenCalledWith(entry, tree2.getInstance().unobserve);
+
+    tree1.unmount();
+    callback([{ ...entry, isIntersecting: false, intersectionRatio: 0 }], observer);
+
+    expect(spy).not.toBeCalled();
+    expect(spy1).toHaveBeenCalledTimes(1);
+    expect(spy2).toHaveBeenCalledTimes(2);
+});
+
+describe('batching', () => {
+    let container;
+
+    beforeEach(() => {
+        container = document.createElement('div');
+        document.body.appendChild(container);
+    });
+
+    afterEach(() => {
+        ReactDOM.unmountComponentAtNode(container);
+        document.body.removeChild(container);
+    });
+
+    test('should render once for all the entries delivered at once', () => {
+        const spy = jest.fn();
+        ReactDOM.render(<List ids={['a', 'b', 'c']} onRender={spy} />, container);
+        const nodes = Array.from(container.querySelectorAll('span'));
+        const observer = Array.from(observerElementsMap.keys())[0];
+        spy.mockClear();
+        callback(nodes.map(node => ({ target: node, isIntersecting: true, intersectionRatio: 1 })), observer);
+
+        expect(spy).toHaveBeenCalledTimes(1);
+        expect(spy).toHaveBeenCalledWith(['a', 'b', 'c']);
+    });
+
+    test('should render the children once for all the entries delivered at once', () => {
+        const spy = jest.fn(({ ref }) => <span ref={ref} />);
+        ReactDOM.render(<IntersectionObserver>{spy}</IntersectionObserver>, container);
+        const node = container.querySelector('span');
+        const observer = Array.from(observerElementsMap.keys())[0];
+        spy.mockClear();
+        callback(
+            [
+                { target: node, isIntersecting: true, intersectionRatio: 1 },
+                { target: node, isIntersecting: false, intersectionRatio: 0 },
+                { target: node, isIntersecting: true, intersectionRatio: 1 },
+            ],
+            observer,
+        );
+
+        expect(spy).toHaveBeenCalledTimes(1);
+        expect(spy.mock.calls[0][0].inView).toBe(true);
+    });
+});
+
+describe('scheduler', () => {
+    test('should deliver the entries with the scheduler given', () => {
+        const spy = jest.fn();
+        const flushes = [];
+        const scheduler = flush => flushes.push(flush);
+        const tree = renderer.create(
+            <IntersectionObserver onChange={spy} scheduler={scheduler}>
+                <span />
+            </IntersectionObserver>,
+            { createNodeMock: () => target },
+        );
+        const entry = { target, isIntersecting: true, intersectionRatio: 1 };
+        callback([entry], tree.getInstance().observer);
+
+        expect(spy).not.toBeCalled();
+
+        flushes[0]();
+
+        expect(spy).toHaveBeenCalledWith(entry, tree.getInstance().unobserve);
+    });
+
+    test('should drop the entries of unmounted components', () => {
+        const spy = jest.fn();
+        const flushes = [];
+        const tree = renderer.create(
+            <IntersectionObserver onChange={spy} scheduler={flush => flushes.push(flush)}>
+                <span />
+            </IntersectionObserver>,
+            { createNodeMock: () => target },
+        );
+        callback([{ target, isIntersecting: true, intersectionRatio: 1 }], tree.getInstance().observer);
+        tree.unmount();
+        flushes[0]();
+
+        expect(spy).not.toBeCalled();
+    });
+});
+
 describe('update', () => {
     test('componentDidUpdate reobserves the target with observer prop changes', () => {
         const component = (
@@ -559,3 +758,636 @@ describe('handleChange', () => {
         });
     });
 });
+
+describe('render prop', () => {
+    const createEntry = ratio => {
+        const entry = new IntersectionObserverEntry({
+            target,
+            boundingClientRect: { width: 1, height: 1 },
+            intersectionRect: { width: ratio, height: 1 },
+        });
+        entry.isIntersecting = ratio > 0;
+        return entry;
+    };
+
+    test('should pass ref, inView, entry and unobserve to children', () => {
+        const spy = jest.fn(({ ref }) => <span ref={ref} />);
+        const instance = renderer
+            .create(<IntersectionObserver>{spy}</IntersectionObserver>, { createNodeMock: () => target })
+            .getInstance();
+
+        expect(spy).toHaveBeenCalledWith({
+            ref: instance.handleNode,
+            inView: false,
+            entry: null,
+            unobserve: instance.unobserve,
+        });
+        expect(instance.target).toBe(target);
+    });
+
+    test('should call children again only when visibility changes', () => {
+        const spy = jest.fn(({ ref }) => <span ref={ref} />);
+        const onChange = jest.fn();
+        const instance = renderer
+            .create(
+                <IntersectionObserver onChange={onChange} threshold={[0.25, 0.5]}>
+                    {spy}
+                </IntersectionObserver>,
+                { createNodeMock: () => target },
+            )
+            .getInstance();
+        const entry1 = createEntry(0.3);
+        const entry2 = createEntry(0.6);
+        const entry3 = createEntry(0.1);
+
+        callback([entry1], instance.observer);
+        callback([entry2], instance.observer);
+
+        expect(spy).toHaveBeenCalledTimes(2);
+        expect(spy.mock.calls[1][0]).toMatchObject({ inView: true, entry: entry1 });
+
+        callback([entry3], instance.observer);
+
+        expect(spy).toHaveBeenCalledTimes(3);
+        expect(spy.mock.calls[2][0]).toMatchObject({ inView: false, entry: entry3 });
+        expect(onChange).toHaveBeenCalledTimes(3);
+    });
+
+    test('should not require onChange', () => {
+        const spy = global.spyOn(console, 'error');
+        PropTypes.checkPropTypes(propTypes, { children: noop }, 'prop', 'IntersectionObserver');
+
+        expect(spy).not.toBeCalled();
+
+        PropTypes.checkPropTypes(propTypes, { children: <span /> }, 'prop', 'IntersectionObserver');
+
+        expect(spy).toHaveBeenCalledTimes(1);
+        expect(spy.calls.first().args[0]).toContain('onChange');
+    });
+});
+
+describe('wrapper element', () => {
+    test('should render and observe the wrapper element given as', () => {
+        const tree = renderer.create(
+            <IntersectionObserver onChange={noop} as="div" className="wrapper" style={{ display: 'inline' }}>
+                <StatelessComponent />
+                <StatelessComponent />
+            </IntersectionObserver>,
+            { createNodeMock: ({ type }) => Object.assign({ type }, target) },
+        );
+        const wrapper = tree.root.findByType('div');
+
+        expect(wrapper.props.className).toBe('wrapper');
+        expect(wrapper.props.style).toEqual({ display: 'inline' });
+        expect(wrapper.findAllByType(StatelessComponent)).toHaveLength(2);
+        expect(tree.getInstance().target.type).toBe('div');
+    });
+
+    test('should pass inView, entry and unobserve to children given as a function', () => {
+        const spy = jest.fn(() => 'text');
+        const instance = renderer
+            .create(
+                <IntersectionObserver as="span" onChange={noop}>
+                    {spy}
+                </IntersectionObserver>,
+                { createNodeMock: () => target },
+            )
+            .getInstance();
+
+        expect(spy).toHaveBeenCalledWith({ inView: false, entry: null, unobserve: instance.unobserve });
+        expect(instance.target).toBe(target);
+    });
+
+    test('should accept any node as children', () => {
+        const spy = global.spyOn(console, 'error');
+        const props = { as: 'div', onChange: noop };
+        PropTypes.checkPropTypes(propTypes, { ...props, children: 'text' }, 'prop', 'IntersectionObserver');
+        PropTypes.checkPropTypes(
+            propTypes,
+            { ...props, children: [<span key="1" />, 'text'] },
+            'prop',
+            'IntersectionObserver',
+        );
+
+        expect(spy).not.toBeCalled();
+    });
+});
+
+describe('target', () => {
+    test('should observe a DOM element given as target', () => {
+        const node = document.createElement('div');
+        const tree = renderer.create(<IntersectionObserver onChange={noop} target={node} />);
+
+        expect(tree.toJSON()).toBeNull();
+        expect(tree.getInstance().target).toBe(node);
+        expect(findObserverElement(tree.getInstance().observer, { target: node })).toBe(tree.getInstance());
+    });
+
+    test('should observe the current value of a ref object given as target', () => {
+        const ref = { current: document.createElement('div') };
+        const instance = renderer.create(<IntersectionObserver onChange={noop} target={ref} />).getInstance();
+
+        expect(instance.target).toBe(ref.current);
+    });
+
+    test('should observe the element matching a selector given as target', () => {
+        const node = document.createElement('div');
+        node.id = 'target';
+        document.body.appendChild(node);
+        const instance = renderer.create(<IntersectionObserver onChange={noop} target="#target" />).getInstance();
+        document.body.removeChild(node);
+
+        expect(instance.target).toBe(node);
+    });
+
+    test('should render children as they are', () => {
+        const node = document.createElement('div');
+        const spy = jest.fn(() => <span />);
+        const tree = renderer.create(
+            <IntersectionObserver target={node} onChange={noop}>
+                {spy}
+            </IntersectionObserver>,
+        );
+
+        expect(tree.toJSON().type).toBe('span');
+        expect(spy).toHaveBeenCalledWith({ inView: false, entry: null, unobserve: tree.getInstance().unobserve });
+    });
+
+    test('should reobserve when the target changes', () => {
+        const node1 = document.createElement('div');
+        const node2 = document.createElement('div');
+        const tree = renderer.create(<IntersectionObserver onChange={noop} target={node1} />);
+        const instance = tree.getInstance();
+        const spy1 = jest.spyOn(instance, 'unobserve');
+        const spy2 = jest.spyOn(instance, 'observe');
+
+        tree.update(<IntersectionObserver onChange={noop} target={node1} />);
+
+        expect(spy1).not.toBeCalled();
+        expect(spy2).not.toBeCalled();
+
+        tree.update(<IntersectionObserver onChange={noop} target={node2} />);
+
+        expect(spy1).toHaveBeenCalledTimes(1);
+        expect(spy2).toHaveBeenCalledTimes(1);
+        expect(findObserverElement(instance.observer, { target: node1 })).toBeNull();
+        expect(findObserverElement(instance.observer, { target: node2 })).toBe(instance);
+    });
+
+    test('should not throw while a selector does not match', () => {
+        const tree = renderer.create(<IntersectionObserver onChange={noop} target="#missing" />);
+
+        expect(tree.getInstance().target).toBeNull();
+        expect(observerElementsMap.size).toBe(0);
+    });
+});
+
+describe('viewability', () => {
+    let clock;
+    const entry = { target, isIntersecting: true, intersectionRatio: 0.5, boundingClientRect: { width: 1, height: 1 } };
+    const tick = ms => {
+        clock += ms;
+        jest.runTimersToTime(ms);
+    };
+
+    beforeEach(() => {
+        clock = 0;
+        jest.useFakeTimers();
+        jest.spyOn(Date, 'now').mockImplementation(() => clock);
+        mockObservation();
+    });
+
+    afterEach(() => {
+        restoreObservation();
+        Date.now.mockRestore();
+        jest.useRealTimers();
+    });
+
+    test('should call onCertifiedView with the measurement once the target is viewable', () => {
+        const spy = jest.fn();
+        const instance = renderer
+            .create(
+                <IntersectionObserver onChange={noop} onCertifiedView={spy} viewabilityStandard="video">
+                    <span />
+                </IntersectionObserver>,
+                { createNodeMock: () => target },
+            )
+            .getInstance();
+        deliverEntries([entry]);
+        tick(1999);
+
+        expect(spy).not.toBeCalled();
+
+        tick(1);
+
+        expect(spy).toHaveBeenCalledWith(entry, instance.unobserve, {
+            standard: 'video',
+            ratio: 0.5,
+            duration: 2000,
+            continuousTime: 2000,
+            cumulativeTime: 2000,
+        });
+    });
+
+    test('should measure the entries of a target observed with the same thresholds', () => {
+        const spy = jest.fn();
+        renderer.create(
+            <IntersectionObserver
+                onChange={noop}
+                threshold={[0, 0.5]}
+                onCertifiedView={spy}
+                viewabilityStandard="video"
+            >
+                <span />
+            </IntersectionObserver>,
+            { createNodeMock: () => target },
+        );
+        deliverEntries([entry]);
+        tick(2000);
+
+        expect(spy).toHaveBeenCalledTimes(1);
+    });
+
+    test('should keep measuring once another component observing the target unmounts', () => {
+        const spy = jest.fn();
+        const tree = renderer.create(
+            <IntersectionObserver onChange={noop} threshold={[0, 0.5]}>
+                <span />
+            </IntersectionObserver>,
+            { createNodeMock: () => target },
+        );
+        renderer.create(
+            <IntersectionObserver onChange={noop} onCertifiedView={spy} viewabilityStandard="video">
+                <span />
+            </IntersectionObserver>,
+            { createNodeMock: () => target },
+        );
+        const unobserve = jest.spyOn(window.IntersectionObserver.prototype, 'unobserve');
+        tree.unmount();
+        deliverEntries([entry]);
+        tick(2000);
+
+        expect(unobserve).not.toBeCalled();
+        expect(spy).toHaveBeenCalledTimes(1);
+        unobserve.mockRestore();
+    });
+
+    test('should wait for waitTime instead of the duration of the standard', () => {
+        const spy = jest.fn();
+        renderer.create(
+            <IntersectionObserver onChange={noop} onCertifiedView={spy} waitTime={500}>
+                <span />
+            </IntersectionObserver>,
+            { createNodeMock: () => target },
+        );
+        deliverEntries([entry]);
+        tick(500);
+
+        expect(spy).toHaveBeenCalledTimes(1);
+    });
+
+    test('should call onCertification once for each of the certifications', () => {
+        const spy = jest.fn();
+        const certifications = [
+            { id: 'half', ratio: 0.5, duration: 1000 },
+            { id: 'any', duration: 3000, mode: 'cumulative' },
+        ];
+        const instance = renderer
+            .create(
+                <IntersectionObserver onChange={noop} certifications={certifications} onCertification={spy}>
+                    <span />
+                </IntersectionObserver>,
+                { createNodeMock: () => target },
+            )
+            .getInstance();
+        deliverEntries([entry]);
+        tick(1000);
+        tick(2000);
+
+        expect(spy).toHaveBeenCalledTimes(2);
+        expect(spy.mock.calls[0][1]).toBe(instance.unobserve);
+        expect(spy.mock.calls[0][2]).toEqual({
+            id: 'half',
+            mode: 'continuous',
+            ratio: 0.5,
+            duration: 1000,
+            continuousTime: 1000,
+            cumulativeTime: 1000,
+        });
+        expect(spy.mock.calls[1][2]).toMatchObject({ id: 'any', mode: 'cumulative', cumulativeTime: 3000 });
+    });
+
+    test('should keep measuring when rendered again with equal certifications', () => {
+        const spy = jest.fn();
+        const element = (
+            <IntersectionObserver
+                onChange={noop}
+                certifications={[{ id: 'any', duration: 1000 }]}
+                onCertification={spy}
+            >
+                <span />
+            </IntersectionObserver>
+        );
+        const tree = renderer.create(element, { createNodeMock: () => target });
+        deliverEntries([entry]);
+        tick(500);
+        tree.update(React.cloneElement(element, { certifications: [{ id: 'any', duration: 1000 }] }));
+        tick(500);
+
+        expect(spy).toHaveBeenCalledTimes(1);
+    });
+
+    test('should measure certifications given after mount', () => {
+        const spy = jest.fn();
+        const tree = renderer.create(
+            <IntersectionObserver onChange={noop}>
+                <span />
+            </IntersectionObserver>,
+            { createNodeMock: () => target },
+        );
+        const instance = tree.getInstance();
+
+        expect(instance.viewability).toBeUndefined();
+
+        tree.update(
+            <IntersectionObserver
+                onChange={noop}
+                certifications={[{ id: 'any', duration: 1000 }]}
+                onCertification={spy}
+            >
+                <span />
+            </IntersectionObserver>,
+        );
+        deliverEntries([entry]);
+        tick(1000);
+
+        expect(spy).toHaveBeenCalledTimes(1);
+    });
+
+    test('should stop measuring when disabled', () => {
+        const spy = jest.fn();
+        const element = (
+            <IntersectionObserver
+                onChange={noop}
+                certifications={[{ id: 'any', duration: 1000 }]}
+                onCertification={spy}
+            >
+                <span />
+            </IntersectionObserver>
+        );
+        const tree = renderer.create(element, { createNodeMock: () => target });
+        deliverEntries([entry]);
+        tick(500);
+        tree.update(React.cloneElement(element, { disabled: true }));
+        tick(500);
+
+        expect(spy).not.toBeCalled();
+        expect(observerElementsMap.size).toBe(0);
+    });
+
+    test('should stop measuring on unmount', () => {
+        const spy = jest.fn();
+        const tree = renderer.create(
+            <IntersectionObserver onChange={noop} onCertifiedView={spy}>
+                <span />
+            </IntersectionObserver>,
+            { createNodeMock: () => target },
+        );
+        deliverEntries([entry]);
+        tick(500);
+        tree.unmount();
+        tick(500);
+
+        expect(spy).not.toBeCalled();
+        expect(observerElementsMap.size).toBe(0);
+    });
+});
+
+describe('dwell', () => {
+    let clock;
+    const createEntry = ratio => ({ target, isIntersecting: ratio > 0, intersectionRatio: ratio });
+
+    beforeEach(() => {
+        clock = 0;
+        jest.spyOn(Date, 'now').mockImplementation(() => clock);
+        mockObservation();
+    });
+
+    afterEach(() => {
+        restoreObservation();
+        Date.now.mockRestore();
+    });
+
+    test('should call onDwell on exit and on unmount', () => {
+        const spy = jest.fn();
+        const tree = renderer.create(
+            <IntersectionObserver onChange={noop} onDwell={spy} dwellThreshold={0.5}>
+                <span />
+            </IntersectionObserver>,
+            { createNodeMock: () => target },
+        );
+        const instance = tree.getInstance();
+        deliverEntries([createEntry(0.5)]);
+        clock += 1000;
+        deliverEntries([createEntry(0.25)]);
+
+        expect(spy).toHaveBeenCalledWith({ reason: 'exit', dwellTime: 1000, visitTime: 1000 });
+
+        deliverEntries([createEntry(1)]);
+        clock += 500;
+
+        expect(instance.getDwellTime()).toBe(1500);
+
+        tree.unmount();
+
+        expect(spy).toHaveBeenCalledTimes(2);
+        expect(spy).toHaveBeenLastCalledWith({ reason: 'unmount', dwellTime: 1500, visitTime: 500 });
+        expect(observerElementsMap.size).toBe(0);
+    });
+
+    test('should measure the entries of a target the component observes with the same thresholds', () => {
+        const spy = jest.fn();
+        const instance = renderer
+            .create(
+                <IntersectionObserver onChange={noop} onDwell={spy}>
+                    <span />
+                </IntersectionObserver>,
+                { createNodeMock: () => target },
+            )
+            .getInstance();
+        callback([createEntry(1)], instance.observer);
+        clock += 1000;
+        callback([createEntry(0)], instance.observer);
+
+        expect(spy).toHaveBeenCalledWith({ reason: 'exit', dwellTime: 1000, visitTime: 1000 });
+    });
+
+    test('should keep measuring once another component observing the target unmounts', () => {
+        const spy = jest.fn();
+        const tree = renderer.create(
+            <IntersectionObserver onChange={noop}>
+                <span />
+            </IntersectionObserver>,
+            { createNodeMock: () => target },
+        );
+        const instance = renderer
+            .create(
+                <IntersectionObserver onChange={noop} onDwell={spy}>
+                    <span />
+                </IntersectionObserver>,
+                { createNodeMock: () => target },
+            )
+            .getInstance();
+        const unobserve = jest.spyOn(instance.observer, 'unobserve');
+        tree.unmount();
+        callback([createEntry(1)], instance.observer);
+        clock += 1000;
+        callback([createEntry(0)], instance.observer);
+
+        expect(unobserve).not.toBeCalled();
+        expect(spy).toHaveBeenCalledWith({ reason: 'exit', dwellTime: 1000, visitTime: 1000 });
+    });
+
+    test('should expose no dwell time without onDwell', () => {
+        const instance = renderer
+            .create(
+                <IntersectionObserver onChange={noop}>
+                    <span />
+                </IntersectionObserver>,
+                { createNodeMock: () => target },
+            )
+            .getInstance();
+
+        expect(instance.dwell).toBeUndefined();
+        expect(instance.getDwellTime()).toBe(0);
+    });
+
+    test('should reobserve with a new dwellThreshold', () => {
+        const element = (
+            <IntersectionObserver onChange={noop} onDwell={noop} dwellThreshold={0.5}>
+                <span />
+            </IntersectionObserver>
+        );
+        const tree = renderer.create(element, { createNodeMock: () => target });
+        tree.update(React.cloneElement(element, { dwellThreshold: 1 }));
+
+        expect(tree.getInstance().dwell.threshold).toBe(1);
+    });
+});
+
+describe('heartbeat', () => {
+    const entry = { target, isIntersecting: true, intersectionRatio: 1 };
+    const element = (
+        <IntersectionObserver onChange={noop} onHeartbeat={noop} interval={1000}>
+            <span />
+        </IntersectionObserver>
+    );
+
+    beforeEach(() => {
+        jest.useFakeTimers();
+        mockObservation();
+    });
+
+    afterEach(() => {
+        restoreObservation();
+        jest.useRealTimers();
+    });
+
+    test('should call onHeartbeat every interval while in view', () => {
+        const spy = jest.fn();
+        const tree = renderer.create(React.cloneElement(element, { onHeartbeat: spy, threshold: 0.5 }), {
+            createNodeMock: () => target,
+        });
+        const instance = tree.getInstance();
+        deliverEntries([entry]);
+        jest.runTimersToTime(2000);
+
+        expect(spy).toHaveBeenCalledTimes(2);
+        expect(spy).toHaveBeenLastCalledWith(entry, instance.unobserve, { count: 2 });
+
+        deliverEntries([{ ...entry, intersectionRatio: 0.25 }]);
+        jest.runTimersToTime(2000);
+
+        expect(spy).toHaveBeenCalledTimes(2);
+    });
+
+    test('should stop calling onHeartbeat once disabled or unmounted', () => {
+        const spy = jest.fn();
+        const tree = renderer.create(React.cloneElement(element, { onHeartbeat: spy }), {
+            createNodeMock: () => target,
+        });
+        deliverEntries([entry]);
+        tree.update(React.cloneElement(element, { onHeartbeat: spy, disabled: true }));
+        jest.runTimersToTime(2000);
+
+        expect(spy).not.toBeCalled();
+
+        tree.update(React.cloneElement(element, { onHeartbeat: spy }));
+        deliverEntries([entry]);
+        tree.unmount();
+        jest.runTimersToTime(2000);
+
+        expect(spy).not.toBeCalled();
+    });
+
+    test('should stop calling onHeartbeat once removed', () => {
+        const spy = jest.fn();
+        const tree = renderer.create(React.cloneElement(element, { onHeartbeat: spy }), {
+            createNodeMock: () => target,
+        });
+        deliverEntries([entry]);
+        tree.update(React.cloneElement(element, { onHeartbeat: undefined }));
+        jest.runTimersToTime(2000);
+
+        expect(spy).not.toBeCalled();
+    });
+
+    test('should stop calling onHeartbeat once unobserved from it', () => {
+        const spy = jest.fn((event, unobserve) => unobserve());
+        renderer.create(React.cloneElement(element, { onHeartbeat: spy }), {
+            createNodeMock: () => target,
+        });
+        deliverEntries([entry]);
+        jest.runTimersToTime(5000);
+
+        expect(spy).toHaveBeenCalledTimes(1);
+    });
+
+    test('should call onHeartbeat once given again to a target in view', () => {
+        const spy = jest.fn();
+        const tree = renderer.create(React.cloneElement(element, { onHeartbeat: undefined }), {
+            createNodeMock: () => target,
+        });
+        deliverEntries([entry]);
+        tree.update(React.cloneElement(element, { onHeartbeat: spy }));
+        jest.runTimersToTime(1000);
+
+        expect(spy).toHaveBeenCalledTimes(1);
+
+        tree.update(React.cloneElement(element, { onHeartbeat: undefined }));
+        tree.update(React.cloneElement(element, { onHeartbeat: spy }));
+        jest.runTimersToTime(1000);
+
+        expect(spy).toHaveBeenCalledTimes(2);
+    });
+
+    test('should take a new interval from the next heartbeat', () => {
+        const spy = jest.fn();
+        const tree = renderer.create(React.cloneElement(element, { onHeartbeat: spy }), {
+            createNodeMock: () => target,
+        });
+        deliverEntries([entry]);
+        tree.update(React.cloneElement(element, { onHeartbeat: spy, interval: 3000 }));
+        jest.runTimersToTime(1000);
+
+        expect(spy).toHaveBeenCalledTimes(1);
+
+        jest.runTimersToTime(2000);
+
+        expect(spy).toHaveBeenCalledTimes(1);
+
+        jest.runTimersToTime(1000);
+
+        expect(spy).toHaveBeenCalledTimes(2);
+    });
+});
@@ -0,0 +1,26 @@
+import React from 'react';
+import PropTypes from 'prop-types';
+import IntersectionObserver from '../IntersectionObserver';
+
+/**
+ * Observes one span per id, keeps the ids seen intersecting in its state and reports them to `onRender` on every
+ * render, to tell how many renders the entries delivered at once cause.
+ */
+export default class List extends React.Component {
+    static propTypes = { ids: PropTypes.array, onRender: PropTypes.func };
+
+    state = { visible: [] };
+
+    handleChange = (id, event) => {
+        this.setState(prevState => ({ visible: prevState.visible.concat(event.isIntersecting ? [id] : []) }));
+    };
+
+    render() {
+        this.props.onRender(this.state.visible);
+        return this.props.ids.map(id => (
+            <IntersectionObserver key={id} onChange={event => this.handleChange(id, event)}>
+                <span id={id} />
+            </IntersectionObserver>
+        ));
+    }
+}
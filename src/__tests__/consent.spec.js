@@ -0,0 +1,174 @@
+/* eslint-env jest */
+import 'intersection-observer';
+import React from 'react';
+import renderer, { act } from 'react-test-renderer';
+import ConsentProvider from '../ConsentProvider';
+import Impression from '../Impression';
+import ImpressionTracker from '../ImpressionTracker';
+import IntersectionObserver from '../IntersectionObserver';
+import useConsentGate from '../useConsentGate';
+import { createConsentGate } from '../consent';
+import { observerElementsMap } from '../observer';
+
+const target = { nodeType: 1 };
+
+describe('#createConsentGate', () => {
+    test('queues calls while consent is unknown and replays them in order once granted', () => {
+        const spy = jest.fn();
+        const gate = createConsentGate();
+        const entry1 = { time: 100 };
+        const entry2 = { time: 200 };
+        gate.call(spy, entry1, 'a');
+        gate.wrap(spy)(entry2, 'b');
+
+        expect(spy).not.toBeCalled();
+
+        gate.setConsent('granted');
+
+        expect(spy.mock.calls).toEqual([[entry1, 'a'], [entry2, 'b']]);
+
+        gate.call(spy, entry2);
+
+        expect(spy).toHaveBeenCalledTimes(3);
+    });
+
+    test('drops calls once consent is denied', () => {
+        const spy = jest.fn();
+        const gate = createConsentGate();
+        gate.call(spy);
+        gate.setConsent('denied');
+        gate.call(spy);
+        gate.setConsent('granted');
+
+        expect(spy).not.toBeCalled();
+    });
+
+    test('drops the oldest calls beyond maxQueueSize', () => {
+        const spy = jest.fn();
+        const gate = createConsentGate({ maxQueueSize: 2 });
+        gate.call(spy, 1);
+        gate.call(spy, 2);
+        gate.call(spy, 3);
+        gate.setConsent('granted');
+
+        expect(spy.mock.calls).toEqual([[2], [3]]);
+    });
+
+    test('calls through right away when consent is granted', () => {
+        const spy = jest.fn();
+        createConsentGate({ consent: 'granted' }).call(spy, 1);
+
+        expect(spy).toHaveBeenCalledWith(1);
+    });
+});
+
+describe('ConsentProvider', () => {
+    const measurement = { ratio: 0.5, duration: 1000, continuousTime: 1000, cumulativeTime: 1000 };
+    const entry = { target, time: 100 };
+
+    function render(consent, onCertifiedView) {
+        return (
+            <ConsentProvider consent={consent}>
+                <IntersectionObserver onCertifiedView={onCertifiedView}>
+                    <span />
+                </IntersectionObserver>
+            </ConsentProvider>
+        );
+    }
+
+    afterEach(() => {
+        observerElementsMap.clear();
+    });
+
+    test('gates the tracking callbacks of the components below', () => {
+        const spy = jest.fn();
+        const tree = renderer.create(render('unknown', spy), { createNodeMock: () => target });
+        const instance = tree.root.findByType(IntersectionObserver).instance;
+        instance.handleViewable(entry, { standard: 'display' }, measurement);
+
+        expect(spy).not.toBeCalled();
+
+        tree.update(render('granted', spy));
+
+        expect(spy).toHaveBeenCalledTimes(1);
+        expect(spy).toHaveBeenCalledWith(entry, instance.unobserve, { standard: 'display', ...measurement });
+    });
+
+    test('drops the tracking callbacks once consent is denied', () => {
+        const spy = jest.fn();
+        const tree = renderer.create(render('unknown', spy), { createNodeMock: () => target });
+        const instance = tree.root.findByType(IntersectionObserver).instance;
+        instance.handleViewable(entry, { standard: 'display' }, measurement);
+        tree.update(render('denied', spy));
+        instance.handleViewable(entry, { standard: 'display' }, measurement);
+        tree.update(render('granted', spy));
+
+        expect(spy).not.toBeCalled();
+    });
+
+    test('tracks impressions with the time of their entry once consent is granted', () => {
+        jest.spyOn(Date, 'now').mockImplementation(() => 5000);
+        const transport = jest.fn();
+        const element = (
+            <ConsentProvider consent="unknown">
+                <ImpressionTracker transport={transport}>
+                    <Impression id="ad-1">
+                        <div />
+                    </Impression>
+                </ImpressionTracker>
+            </ConsentProvider>
+        );
+        const tree = renderer.create(element, { createNodeMock: () => target });
+        const instance = tree.root.findByType(IntersectionObserver).instance;
+        const queue = tree.root.findByType(ImpressionTracker).instance.queue;
+        const spy = jest.spyOn(queue, 'track');
+        instance.handleViewable({ target, time: 4000 }, { standard: 'display' }, measurement);
+        Date.now.mockImplementation(() => 9000);
+        tree.update(React.cloneElement(element, { consent: 'granted' }));
+
+        expect(spy).toHaveBeenCalledWith('ad-1', undefined, 4000);
+
+        Date.now.mockRestore();
+    });
+});
+
+describe('#useConsentGate', () => {
+    function Tracked({ callback }) {
+        const gate = useConsentGate();
+        gate(callback)('seen');
+        return null;
+    }
+
+    test('wraps callbacks to pass through the gate of the provider', () => {
+        const spy = jest.fn();
+        let tree;
+        act(() => {
+            tree = renderer.create(
+                <ConsentProvider>
+                    <Tracked callback={spy} />
+                </ConsentProvider>,
+            );
+        });
+
+        expect(spy).not.toBeCalled();
+
+        act(() => {
+            tree.update(
+                <ConsentProvider consent="granted">
+                    <Tracked callback={() => {}} />
+                </ConsentProvider>,
+            );
+        });
+
+        expect(spy).toHaveBeenCalledWith('seen');
+    });
+
+    test('leaves callbacks as they are outside of a provider', () => {
+        const spy = jest.fn();
+        act(() => {
+            renderer.create(<Tracked callback={spy} />);
+        });
+
+        expect(spy).toHaveBeenCalledWith('seen');
+    });
+});
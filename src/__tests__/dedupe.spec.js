@@ -0,0 +1,359 @@
+/* eslint-env jest, node */
+import { createDedupe, indexedDBStorage, localStorageStorage, memoryStorage, onceSeen } from '../dedupe';
+import { createImpressionQueue } from '../impressions';
+import { flushPromises } from './helpers';
+
+let clock = 1000;
+
+function createLocalStorage() {
+    const items = {};
+    return {
+        getItem: key => (key in items ? items[key] : null),
+        setItem: (key, value) => {
+            items[key] = String(value);
+        },
+        removeItem: key => delete items[key],
+    };
+}
+
+class FakeBroadcastChannel {
+    constructor(name) {
+        this.name = name;
+        this.onmessage = null;
+        FakeBroadcastChannel.channels.push(this);
+    }
+
+    postMessage(data) {
+        FakeBroadcastChannel.channels.forEach(channel => {
+            if (channel !== this && channel.name === this.name && channel.onmessage) {
+                channel.onmessage({ data });
+            }
+        });
+    }
+
+    close() {
+        FakeBroadcastChannel.channels.splice(FakeBroadcastChannel.channels.indexOf(this), 1);
+    }
+}
+
+FakeBroadcastChannel.channels = [];
+
+function createIndexedDB() {
+    const databases = {};
+    const open = name => {
+        const request = {};
+        setImmediate(() => {
+            const upgrade = !databases[name];
+            if (upgrade) {
+                databases[name] = { stores: {} };
+            }
+            const db = databases[name];
+            db.createObjectStore = storeName => {
+                db.stores[storeName] = new Map();
+            };
+            db.transaction = storeName => {
+                const transaction = {
+                    objectStore: () => ({
+                        put: (value, key) => db.stores[storeName].set(key, value),
+                        delete: key => db.stores[storeName].delete(key),
+                        openCursor: () => {
+                            const cursorRequest = {};
+                            Promise.resolve().then(() => {
+                                db.stores[storeName].forEach((value, key) => {
+                                    cursorRequest.onsuccess({ target: { result: { key, value, continue() {} } } });
+                                });
+                                cursorRequest.onsuccess({ target: { result: null } });
+                            });
+                            return cursorRequest;
+                        },
+                    }),
+                };
+                setImmediate(() => transaction.oncomplete());
+                return transaction;
+            };
+            request.result = db;
+            if (upgrade) {
+                request.onupgradeneeded();
+            }
+            request.onsuccess();
+        });
+        return request;
+    };
+    return { open };
+}
+
+beforeEach(() => {
+    clock = 1000;
+    jest.spyOn(Date, 'now').mockImplementation(() => clock);
+    window.localStorage = createLocalStorage();
+});
+
+afterEach(() => {
+    Date.now.mockRestore();
+    delete window.localStorage;
+    delete window.BroadcastChannel;
+});
+
+describe('#createDedupe', () => {
+    test('claims each id once', () => {
+        const dedupe = createDedupe();
+
+        return Promise.all([dedupe.claim('a'), dedupe.claim('a'), dedupe.claim(1)]).then(claims => {
+            expect(claims).toEqual([true, false, true]);
+            expect(dedupe.has('a')).toBe(true);
+            expect(dedupe.has(1)).toBe(true);
+            expect(dedupe.has('b')).toBe(false);
+        });
+    });
+
+    test('counts ids again once their time to live expired', () => {
+        const dedupe = createDedupe({ ttl: 1000 });
+
+        return dedupe
+            .claim('a')
+            .then(() => {
+                clock += 999;
+                return dedupe.claim('a');
+            })
+            .then(claimed => {
+                expect(claimed).toBe(false);
+                clock += 1;
+                expect(dedupe.has('a')).toBe(false);
+                return dedupe.claim('a');
+            })
+            .then(claimed => {
+                expect(claimed).toBe(true);
+            });
+    });
+
+    test('loads the ids seen from the storage, dropping the expired ones', () => {
+        const storage = memoryStorage();
+        const spy = jest.spyOn(storage, 'remove');
+
+        return Promise.all([storage.set('a', 2000), storage.set('b', 1000)])
+            .then(() => createDedupe({ storage }).ready)
+            .then(() => storage.getAll())
+            .then(records => {
+                expect(records).toEqual({ a: 2000 });
+                expect(spy).toHaveBeenCalledWith(['b']);
+            });
+    });
+
+    test('does not count ids seen before a reload', () => {
+        const storage = localStorageStorage('seen');
+
+        return createDedupe({ storage })
+            .claim('a')
+            .then(flushPromises)
+            .then(() => {
+                expect(JSON.parse(window.localStorage.getItem('seen'))).toEqual({ a: 1000 + 24 * 60 * 60 * 1000 });
+                return createDedupe({ storage: localStorageStorage('seen') }).claim('a');
+            })
+            .then(claimed => {
+                expect(claimed).toBe(false);
+            });
+    });
+
+    test('lets other tabs know of the ids claimed through a BroadcastChannel', () => {
+        window.BroadcastChannel = FakeBroadcastChannel;
+        const dedupe1 = createDedupe();
+        const dedupe2 = createDedupe();
+        const dedupe3 = createDedupe({ channel: 'other' });
+
+        return dedupe1.claim('a').then(() => {
+            expect(dedupe2.has('a')).toBe(true);
+            expect(dedupe3.has('a')).toBe(false);
+
+            dedupe1.close();
+            dedupe2.close();
+            dedupe3.close();
+
+            expect(FakeBroadcastChannel.channels).toHaveLength(0);
+        });
+    });
+
+    test('lets other tabs know of the ids claimed through storage events otherwise', () => {
+        const dedupe = createDedupe({ storage: localStorageStorage('seen') });
+
+        return dedupe.ready
+            .then(() => {
+                window.localStorage.setItem('seen', JSON.stringify({ a: 5000 }));
+                const event = new Event('storage');
+                event.key = 'seen';
+                window.dispatchEvent(event);
+                return flushPromises();
+            })
+            .then(() => {
+                expect(dedupe.has('a')).toBe(true);
+                dedupe.close();
+            });
+    });
+
+    test('warns when the storage fails', () => {
+        const spy = global.spyOn(console, 'error');
+        const error = new Error('QuotaExceededError');
+        const storage = {
+            getAll: () => Promise.resolve({ a: 500 }),
+            set: () => Promise.reject(error),
+            remove: () => Promise.reject(error),
+        };
+
+        return createDedupe({ storage })
+            .claim('b')
+            .then(claimed => {
+                expect(claimed).toBe(true);
+                return flushPromises();
+            })
+            .then(() => {
+                expect(spy).toHaveBeenCalledTimes(2);
+                expect(spy.calls.first().args[0]).toContain('QuotaExceededError');
+            });
+    });
+
+    test('warns when the storage throws', () => {
+        const spy = global.spyOn(console, 'error');
+        const storage = {
+            getAll: () => Promise.resolve({}),
+            set: () => {
+                throw new Error('SecurityError');
+            },
+            remove: () => Promise.resolve(),
+        };
+
+        return createDedupe({ storage })
+            .claim('a')
+            .then(claimed => {
+                expect(claimed).toBe(true);
+                return flushPromises();
+            })
+            .then(() => {
+                expect(spy).toHaveBeenCalledTimes(1);
+                expect(spy.calls.first().args[0]).toContain('SecurityError');
+            });
+    });
+});
+
+describe('#indexedDBStorage', () => {
+    beforeEach(() => {
+        window.indexedDB = createIndexedDB();
+    });
+
+    afterEach(() => {
+        delete window.indexedDB;
+    });
+
+    test('keeps the ids seen in an object store', () => {
+        const storage = indexedDBStorage();
+
+        return Promise.all([storage.set('a', 2000), storage.set(1, 3000), storage.set('b', 4000)])
+            .then(() => storage.remove(['b']))
+            .then(() => indexedDBStorage().getAll())
+            .then(records => {
+                expect(records).toEqual({ a: 2000, 1: 3000 });
+            });
+    });
+
+    test('warns when IndexedDB is missing', () => {
+        delete window.indexedDB;
+        const spy = global.spyOn(console, 'error');
+
+        return createDedupe({ storage: indexedDBStorage() })
+            .claim('a')
+            .then(claimed => {
+                expect(claimed).toBe(true);
+                return flushPromises();
+            })
+            .then(() => {
+                expect(spy).toHaveBeenCalledTimes(2);
+            });
+    });
+});
+
+describe('#onceSeen', () => {
+    const inView = { isIntersecting: true, intersectionRatio: 1 };
+    const outOfView = { isIntersecting: false, intersectionRatio: 0 };
+
+    test('calls onChange with the first entry in view of an id not seen', () => {
+        const spy = jest.fn();
+        const unobserve = jest.fn();
+        const handleChange = onceSeen(createDedupe(), 'a', spy);
+        handleChange(outOfView, unobserve);
+        handleChange(inView, unobserve);
+        handleChange(inView, unobserve);
+
+        return flushPromises().then(() => {
+            expect(spy).toHaveBeenCalledTimes(1);
+            expect(spy).toHaveBeenCalledWith(inView, unobserve);
+            expect(unobserve).toHaveBeenCalledTimes(1);
+        });
+    });
+
+    test('unobserves ids seen already', () => {
+        const spy = jest.fn();
+        const unobserve = jest.fn();
+        const dedupe = createDedupe();
+
+        return dedupe.claim('a').then(() => {
+            onceSeen(dedupe, 'a', spy)(outOfView, unobserve);
+
+            expect(unobserve).toHaveBeenCalledTimes(1);
+            expect(spy).not.toBeCalled();
+        });
+    });
+
+    test('takes a threshold', () => {
+        const spy = jest.fn();
+        onceSeen(createDedupe(), 'a', spy, 0.5)({ isIntersecting: true, intersectionRatio: 0.25 }, () => {});
+
+        return flushPromises().then(() => {
+            expect(spy).not.toBeCalled();
+        });
+    });
+
+    test('warns when claiming fails', () => {
+        const spy = global.spyOn(console, 'error');
+        const dedupe = { has: () => false, claim: () => Promise.reject(new Error('SecurityError')) };
+        onceSeen(dedupe, 'a', jest.fn())(inView, () => {});
+
+        return flushPromises().then(() => {
+            expect(spy).toHaveBeenCalledTimes(1);
+            expect(spy.calls.first().args[0]).toContain('SecurityError');
+        });
+    });
+});
+
+describe('impression queue', () => {
+    test('does not count impressions seen before', () => {
+        const transport = jest.fn();
+        const storage = memoryStorage();
+
+        return storage
+            .set('a', 5000)
+            .then(() => {
+                const dedupe = createDedupe({ storage });
+                const queue = createImpressionQueue({ transport, dedupe });
+                return dedupe.ready.then(() => {
+                    expect(queue.isTracked('a')).toBe(true);
+                    expect(queue.track('a')).toBe(false);
+                    expect(queue.track('b')).toBe(true);
+                    return flushPromises().then(() => queue.flush());
+                });
+            })
+            .then(flushPromises)
+            .then(() => {
+                expect(transport).toHaveBeenCalledTimes(1);
+                expect(transport.mock.calls[0][0].map(event => event.id)).toEqual(['b']);
+            });
+    });
+
+    test('warns when claiming fails', () => {
+        const spy = global.spyOn(console, 'error');
+        const dedupe = { has: () => false, claim: () => Promise.reject(new Error('SecurityError')) };
+        createImpressionQueue({ transport: jest.fn(), dedupe }).track('a');
+
+        return flushPromises().then(() => {
+            expect(spy).toHaveBeenCalledTimes(1);
+            expect(spy.calls.first().args[0]).toContain('SecurityError');
+        });
+    });
+});
@@ -0,0 +1,123 @@
+/* eslint-env jest */
+import 'intersection-observer';
+import { createDwellTracker } from '../dwell';
+import { observerElementsMap } from '../observer';
+import { mockObservation, restoreObservation, setHidden } from './helpers';
+
+let clock = 0;
+
+function tick(ms) {
+    clock += ms;
+}
+
+function createEntry(ratio) {
+    return { isIntersecting: ratio > 0, intersectionRatio: ratio };
+}
+
+beforeAll(() => {
+    jest.spyOn(Date, 'now').mockImplementation(() => clock);
+});
+
+afterAll(() => {
+    Date.now.mockRestore();
+});
+
+beforeEach(mockObservation);
+
+afterEach(() => {
+    observerElementsMap.clear();
+    restoreObservation();
+});
+
+test('observes the target with the threshold given', () => {
+    const tracker = createDwellTracker(jest.fn());
+    tracker.observe(document.createElement('div'), { rootMargin: '10px' }, 0.5);
+    const [observer] = Array.from(observerElementsMap.keys());
+
+    expect(observer.thresholds).toEqual([0, 0.5]);
+    expect(observer.rootMargin).toBe('10px 10px 10px 10px');
+
+    tracker.unobserve();
+
+    expect(observerElementsMap.size).toBe(0);
+});
+
+test('reports the time in view on exit', () => {
+    const spy = jest.fn();
+    const tracker = createDwellTracker(spy);
+    tracker.observe(document.createElement('div'), {}, 0.5);
+    tracker.handleChange(createEntry(0.6));
+    tick(1500);
+    tracker.handleChange(createEntry(0.8));
+    tick(500);
+    tracker.handleChange(createEntry(0.4));
+
+    expect(spy).toHaveBeenCalledTimes(1);
+    expect(spy).toHaveBeenCalledWith({ reason: 'exit', dwellTime: 2000, visitTime: 2000 });
+
+    tick(1000);
+    tracker.handleChange(createEntry(1));
+    tick(3000);
+
+    expect(tracker.getDwellTime()).toBe(5000);
+
+    tracker.handleChange(createEntry(0));
+
+    expect(spy).toHaveBeenLastCalledWith({ reason: 'exit', dwellTime: 5000, visitTime: 3000 });
+});
+
+test('does not count time while the document is hidden', () => {
+    const spy = jest.fn();
+    const tracker = createDwellTracker(spy);
+    tracker.observe(document.createElement('div'));
+    tracker.handleChange(createEntry(1));
+    tick(1000);
+    setHidden(true);
+    tick(60000);
+
+    expect(tracker.getDwellTime()).toBe(1000);
+
+    setHidden(false);
+    tick(500);
+    tracker.handleChange(createEntry(0));
+
+    expect(spy).toHaveBeenCalledWith({ reason: 'exit', dwellTime: 1500, visitTime: 1500 });
+});
+
+test('reports the time in view when the page is unloaded', () => {
+    const spy = jest.fn();
+    const tracker = createDwellTracker(spy);
+    tracker.observe(document.createElement('div'));
+    window.dispatchEvent(new Event('pagehide'));
+
+    expect(spy).not.toBeCalled();
+
+    tracker.handleChange(createEntry(1));
+    tick(1000);
+    window.dispatchEvent(new Event('pagehide'));
+
+    expect(spy).toHaveBeenCalledWith({ reason: 'unload', dwellTime: 1000, visitTime: 1000 });
+
+    tracker.unobserve();
+    window.dispatchEvent(new Event('pagehide'));
+
+    expect(spy).toHaveBeenCalledTimes(1);
+});
+
+test('keeps the time in view across observations of the same target', () => {
+    const target = document.createElement('div');
+    const tracker = createDwellTracker(jest.fn());
+    tracker.observe(target);
+    tracker.handleChange(createEntry(1));
+    tick(1000);
+    tracker.unobserve();
+    tick(1000);
+    tracker.observe(target);
+
+    expect(tracker.getDwellTime()).toBe(1000);
+
+    tracker.unobserve();
+    tracker.observe(document.createElement('div'));
+
+    expect(tracker.getDwellTime()).toBe(0);
+});
@@ -0,0 +1,113 @@
+/* eslint-env jest */
+import { createHeartbeat } from '../heartbeat';
+import { mockDocumentHidden, restoreDocumentHidden, setHidden } from './helpers';
+
+const inView = { isIntersecting: true, intersectionRatio: 1 };
+const outOfView = { isIntersecting: false, intersectionRatio: 0 };
+
+beforeEach(() => {
+    jest.useFakeTimers();
+    mockDocumentHidden();
+});
+
+afterEach(() => {
+    jest.useRealTimers();
+    restoreDocumentHidden();
+});
+
+test('beats every interval while the target is in view', () => {
+    const spy = jest.fn();
+    const heartbeat = createHeartbeat(spy);
+    heartbeat.start(1000);
+    heartbeat.update(inView, true);
+    jest.runTimersToTime(2500);
+
+    expect(spy.mock.calls).toEqual([[inView, { count: 1 }], [inView, { count: 2 }]]);
+
+    heartbeat.update(outOfView, false);
+    jest.runTimersToTime(5000);
+
+    expect(spy).toHaveBeenCalledTimes(2);
+
+    heartbeat.update(inView, true);
+    jest.runTimersToTime(1000);
+
+    expect(spy).toHaveBeenLastCalledWith(inView, { count: 3 });
+    heartbeat.stop();
+});
+
+test('does not beat before being started', () => {
+    const spy = jest.fn();
+    createHeartbeat(spy).update(inView, true);
+    jest.runTimersToTime(10000);
+
+    expect(spy).not.toBeCalled();
+});
+
+test('does not beat while the document is hidden', () => {
+    const spy = jest.fn();
+    const heartbeat = createHeartbeat(spy);
+    heartbeat.start(1000);
+    heartbeat.update(inView, true);
+    jest.runTimersToTime(500);
+    setHidden(true);
+    jest.runTimersToTime(5000);
+
+    expect(spy).not.toBeCalled();
+
+    setHidden(false);
+    jest.runTimersToTime(1000);
+
+    expect(spy).toHaveBeenCalledTimes(1);
+    heartbeat.stop();
+});
+
+test('does not start beating while the document is hidden', () => {
+    const spy = jest.fn();
+    const heartbeat = createHeartbeat(spy);
+    heartbeat.start(1000);
+    setHidden(true);
+    heartbeat.update(inView, true);
+    jest.runTimersToTime(5000);
+
+    expect(spy).not.toBeCalled();
+    heartbeat.stop();
+});
+
+test('stops beating once stopped', () => {
+    const spy = jest.fn();
+    const heartbeat = createHeartbeat(spy);
+    heartbeat.start(1000);
+    heartbeat.update(inView, true);
+    heartbeat.stop();
+    setHidden(true);
+    setHidden(false);
+    jest.runTimersToTime(5000);
+
+    expect(spy).not.toBeCalled();
+});
+
+test('resumes beating once started again with the target in view', () => {
+    const spy = jest.fn();
+    const heartbeat = createHeartbeat(spy);
+    heartbeat.update(inView, true);
+    heartbeat.start(1000);
+    jest.runTimersToTime(1000);
+    heartbeat.stop();
+    jest.runTimersToTime(5000);
+    heartbeat.start();
+    jest.runTimersToTime(1000);
+
+    expect(spy.mock.calls).toEqual([[inView, { count: 1 }], [inView, { count: 2 }]]);
+    heartbeat.stop();
+});
+
+test('stops beating when stopped by the callback', () => {
+    const heartbeat = createHeartbeat(() => heartbeat.stop());
+    const spy = jest.spyOn(heartbeat, 'stop');
+    heartbeat.start(1000);
+    heartbeat.update(inView, true);
+    jest.runTimersToTime(5000);
+
+    expect(spy).toHaveBeenCalledTimes(1);
+});
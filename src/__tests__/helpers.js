@@ -0,0 +1,55 @@
+/* eslint-env jest, node */
+import { callback, observerElementsMap } from '../observer';
+
+/**
+ * Resolves once the pending promises, along with the ones they chain, have settled.
+ * @returns {Promise}
+ */
+export function flushPromises() {
+    return new Promise(resolve => setImmediate(resolve));
+}
+
+let hidden = false;
+
+/**
+ * Makes `document.hidden` return the value last given to `setHidden`, false until then.
+ */
+export function mockDocumentHidden() {
+    hidden = false;
+    Object.defineProperty(document, 'hidden', { configurable: true, get: () => hidden });
+}
+
+export function restoreDocumentHidden() {
+    delete document.hidden;
+}
+
+/**
+ * Hides or shows the document, dispatching `visibilitychange`.
+ * @param {boolean} value
+ */
+export function setHidden(value) {
+    hidden = value;
+    document.dispatchEvent(new Event('visibilitychange'));
+}
+
+/**
+ * Leaves delivering the entries to the tests, rather than to the IntersectionObserver polyfill, and shows the document,
+ * which jsdom prerenders.
+ */
+export function mockObservation() {
+    jest.spyOn(window.IntersectionObserver.prototype, 'observe').mockImplementation(() => {});
+    mockDocumentHidden();
+}
+
+export function restoreObservation() {
+    window.IntersectionObserver.prototype.observe.mockRestore();
+    restoreDocumentHidden();
+}
+
+/**
+ * Delivers the entries through every pooled observer, as the native observers observing their targets would.
+ * @param {array} entries
+ */
+export function deliverEntries(entries) {
+    Array.from(observerElementsMap.keys()).forEach(observer => callback(entries, observer));
+}
@@ -0,0 +1,204 @@
+/* eslint-env jest */
+import { beaconTransport, createImpressionQueue, fetchTransport } from '../impressions';
+import { flushPromises } from './helpers';
+
+jest.useFakeTimers();
+
+describe('#createImpressionQueue', () => {
+    test('sends impressions in a batch after the flush interval', () => {
+        const transport = jest.fn();
+        const queue = createImpressionQueue({ transport, flushInterval: 1000 });
+        queue.track('a', { slot: 1 });
+        queue.track('b');
+        jest.runTimersToTime(999);
+
+        return flushPromises().then(() => {
+            expect(transport).not.toBeCalled();
+
+            jest.runTimersToTime(1);
+
+            return flushPromises().then(() => {
+                expect(transport).toHaveBeenCalledTimes(1);
+                expect(transport.mock.calls[0][0]).toEqual([
+                    { id: 'a', payload: { slot: 1 }, timestamp: expect.any(Number) },
+                    { id: 'b', payload: undefined, timestamp: expect.any(Number) },
+                ]);
+            });
+        });
+    });
+
+    test('tracks each id once', () => {
+        const transport = jest.fn();
+        const queue = createImpressionQueue({ transport });
+
+        expect(queue.track('a')).toBe(true);
+        expect(queue.track('a')).toBe(false);
+        expect(queue.isTracked('a')).toBe(true);
+        expect(queue.isTracked('b')).toBe(false);
+
+        queue.flush();
+
+        return flushPromises().then(() => {
+            expect(transport.mock.calls[0][0]).toHaveLength(1);
+        });
+    });
+
+    test('sends a full batch right away', () => {
+        const transport = jest.fn();
+        const queue = createImpressionQueue({ transport, batchSize: 2 });
+        queue.track('a');
+        queue.track('b');
+        queue.track('c');
+
+        return flushPromises().then(() => {
+            expect(transport).toHaveBeenCalledTimes(1);
+            expect(transport.mock.calls[0][0].map(event => event.id)).toEqual(['a', 'b']);
+        });
+    });
+
+    test('splits the impressions flushed in batches', () => {
+        const transport = jest.fn();
+        const queue = createImpressionQueue({ transport, batchSize: 2, flushInterval: 1000 });
+        queue.track('a');
+        queue.track('b');
+        queue.track('c');
+        queue.track('d');
+        queue.track('e');
+        queue.flush();
+
+        return flushPromises().then(() => {
+            expect(transport.mock.calls.map(([events]) => events.map(event => event.id))).toEqual([
+                ['a', 'b'],
+                ['c', 'd'],
+                ['e'],
+            ]);
+        });
+    });
+
+    test('retries failed batches with an exponential backoff', () => {
+        const spy = jest.spyOn(global.console, 'error').mockImplementation(() => {});
+        const transport = jest
+            .fn()
+            .mockImplementationOnce(() => Promise.reject(new Error('offline')))
+            .mockImplementationOnce(() => false)
+            .mockImplementationOnce(() => true);
+        const queue = createImpressionQueue({ transport, retryDelay: 100 });
+        queue.track('a');
+        queue.flush();
+
+        return flushPromises()
+            .then(() => {
+                expect(transport).toHaveBeenCalledTimes(1);
+                jest.runTimersToTime(100);
+                return flushPromises();
+            })
+            .then(() => {
+                expect(transport).toHaveBeenCalledTimes(2);
+                jest.runTimersToTime(199);
+                return flushPromises();
+            })
+            .then(() => {
+                expect(transport).toHaveBeenCalledTimes(2);
+                jest.runTimersToTime(1);
+                return flushPromises();
+            })
+            .then(() => {
+                expect(transport).toHaveBeenCalledTimes(3);
+                expect(transport.mock.calls[2][0]).toBe(transport.mock.calls[0][0]);
+                jest.runAllTimers();
+                return flushPromises();
+            })
+            .then(() => {
+                expect(transport).toHaveBeenCalledTimes(3);
+                expect(spy).not.toBeCalled();
+                spy.mockRestore();
+            });
+    });
+
+    test('drops batches failing more than maxRetries times', () => {
+        const spy = jest.spyOn(global.console, 'error').mockImplementation(() => {});
+        const transport = jest.fn(() => false);
+        const queue = createImpressionQueue({ transport, maxRetries: 1, retryDelay: 100 });
+        queue.track('a');
+        queue.flush();
+
+        return flushPromises()
+            .then(() => {
+                jest.runTimersToTime(100);
+                return flushPromises();
+            })
+            .then(() => {
+                expect(transport).toHaveBeenCalledTimes(2);
+                expect(spy).toHaveBeenCalledTimes(1);
+                expect(spy.mock.calls[0][0]).toContain('Dropping 1 impressions after 2 attempts');
+                spy.mockRestore();
+            });
+    });
+
+    test('flushes when the page is hidden or unloaded', () => {
+        const transport = jest.fn();
+        const queue = createImpressionQueue({ transport });
+        queue.start();
+        queue.track('a');
+        window.dispatchEvent(new Event('pagehide'));
+        queue.track('b');
+        document.dispatchEvent(new Event('visibilitychange'));
+        queue.stop();
+        queue.track('c');
+        window.dispatchEvent(new Event('pagehide'));
+
+        return flushPromises().then(() => {
+            // jsdom prerenders documents, which are hidden
+            expect(transport.mock.calls.map(([events]) => events.map(event => event.id))).toEqual([['a'], ['b']]);
+        });
+    });
+
+    test('sends the batches waiting for a retry when flushed', () => {
+        const transport = jest.fn().mockImplementationOnce(() => false);
+        const queue = createImpressionQueue({ transport });
+        queue.track('a');
+        queue.flush();
+
+        return flushPromises()
+            .then(() => {
+                queue.track('b');
+                queue.flush();
+                return flushPromises();
+            })
+            .then(() => {
+                expect(transport.mock.calls.map(([events]) => events.map(event => event.id))).toEqual([
+                    ['a'],
+                    ['a'],
+                    ['b'],
+                ]);
+            });
+    });
+});
+
+describe('transports', () => {
+    test('beaconTransport sends the impressions as JSON', () => {
+        navigator.sendBeacon = jest.fn(() => true);
+        const events = [{ id: 'a' }];
+
+        expect(beaconTransport('/impressions')(events)).toBe(true);
+        expect(navigator.sendBeacon).toHaveBeenCalledWith('/impressions', JSON.stringify(events));
+
+        delete navigator.sendBeacon;
+    });
+
+    test('fetchTransport posts the impressions as JSON', () => {
+        global.fetch = jest.fn(() => Promise.resolve({ ok: false }));
+        const events = [{ id: 'a' }];
+
+        return fetchTransport('/impressions', { headers: { 'X-Token': 'token' } })(events).then(result => {
+            expect(result).toBe(false);
+            expect(global.fetch).toHaveBeenCalledWith('/impressions', {
+                method: 'POST',
+                keepalive: true,
+                headers: { 'Content-Type': 'application/json', 'X-Token': 'token' },
+                body: JSON.stringify(events),
+            });
+            delete global.fetch;
+        });
+    });
+});
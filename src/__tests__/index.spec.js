@@ -0,0 +1,25 @@
+/* eslint-env jest */
+import React from 'react';
+import ReactDOM from 'react-dom';
+import IntersectionObserver from '..';
+import { flushPromises } from './helpers';
+
+test('loads the polyfill and delivers the entries in a browser lacking native support', async () => {
+    const spy = jest.fn();
+    const container = document.createElement('div');
+    document.body.appendChild(container);
+    ReactDOM.render(
+        <IntersectionObserver onChange={spy}>
+            <span />
+        </IntersectionObserver>,
+        container,
+    );
+    await flushPromises();
+    // the polyfill throttles checking for intersections
+    await new Promise(resolve => setTimeout(resolve, window.IntersectionObserver.prototype.THROTTLE_TIMEOUT));
+
+    expect(spy).toHaveBeenCalledWith(expect.objectContaining({ target: container.firstChild }), expect.any(Function));
+
+    ReactDOM.unmountComponentAtNode(container);
+    document.body.removeChild(container);
+});
@@ -1,13 +1,22 @@
 /* eslint-env jest */
 import 'intersection-observer';
 import {
+    callback,
     createObserver,
     findObserverElement,
     getPooled,
+    observe,
     observeElement,
     observerElementsMap,
+    observeTarget,
+    setCoalesceEntries,
+    setPolyfillLoader,
+    setScheduler,
     unobserveElement,
+    unobserveTarget,
 } from '../observer';
+import FallbackObserver from '../FallbackObserver';
+import { flushPromises } from './helpers';
 
 const IntersectionObserver = window.IntersectionObserver;
 const defaultOptions = { rootMargin: '-10% 0%', threshold: [0, 0.5, 1] };
@@ -30,20 +39,44 @@ describe('#getPooled', () => {
     let instance;
 
     beforeEach(() => {
-        instance = new IntersectionObserver(noop, defaultOptions);
-        observerElementsMap.set(instance);
+        instance = createObserver(defaultOptions);
+        observeElement({ target: { nodeType: 1, id: 1 }, observer: instance });
     });
 
     test('returns nothing given options did not match', () => {
         expect(getPooled()).toBeNull();
         expect(getPooled({ rootMargin: '-20% 0%', threshold: 1 })).toBeNull();
-        expect(getPooled({ rootMargin: '-10% 0%', threshold: 0 })).toBeNull();
         expect(getPooled({ threshold: 0.5 })).toBeNull();
     });
 
     test('returns nothing given threshold did not match', () => {
         expect(getPooled({ rootMargin: '-10% 0%', threshold: [0, 0.5, 1, 0.25] })).toBeNull();
-        expect(getPooled({ rootMargin: '-10% 0%', threshold: [1, 0.5, 0] })).toBeNull();
+        expect(getPooled({ rootMargin: '-10% 0%', threshold: 0.75 })).toBeNull();
+    });
+
+    test('retrieves an existing IntersectionObserver instance given a subset of its thresholds', () => {
+        expect(getPooled({ rootMargin: '-10% 0%', threshold: 0 })).toBe(instance);
+        expect(getPooled({ rootMargin: '-10% 0%', threshold: [0.5, 1] })).toBe(instance);
+    });
+
+    test('retrieves an existing IntersectionObserver instance given the same thresholds in another order', () => {
+        expect(getPooled({ rootMargin: '-10% 0%', threshold: [1, 0.5, 0] })).toBe(instance);
+    });
+
+    test('returns nothing given root did not match', () => {
+        const root = document.createElement('div');
+        const other = createObserver({ ...defaultOptions, root });
+        observeElement({ target: { nodeType: 1, id: 2 }, observer: other });
+
+        expect(other).not.toBe(instance);
+        expect(getPooled({ ...defaultOptions, root })).toBe(other);
+        expect(getPooled({ ...defaultOptions, root: document.createElement('div') })).toBeNull();
+    });
+
+    test('returns nothing once the pooled observer is disconnected', () => {
+        unobserveElement(Array.from(observerElementsMap.get(instance))[0]);
+
+        expect(getPooled(defaultOptions)).toBeNull();
     });
 
     test('throws if rootMargin cannot be parsed', () => {
@@ -158,6 +191,19 @@ describe('#findObserverElement', () => {
         expect(instance2).toEqual(entry2);
     });
 
+    test('an entry matches a group observing many targets', () => {
+        const observer = createObserver();
+        const target1 = { nodeType: 1, id: 1 };
+        const target2 = { nodeType: 1, id: 2 };
+        const group = { targets: new Map([[target1, 'a'], [target2, 'b']]), observer };
+        const spy = jest.spyOn(observer, 'observe');
+        observeElement(group);
+
+        expect(spy).toHaveBeenCalledTimes(2);
+        expect(findObserverElement(observer, { target: target2 })).toBe(group);
+        expect(findObserverElement(observer, { target: { nodeType: 1, id: 3 } })).toBeNull();
+    });
+
     test('multiple entries match multiple observers', () => {
         const observer1 = createObserver();
         const observer2 = createObserver(defaultOptions);
@@ -171,3 +217,563 @@ describe('#findObserverElement', () => {
         expect(instance2).toEqual(entry2);
     });
 });
+
+describe('#observeTarget', () => {
+    test('adds targets to an element in the pool and removes them', () => {
+        const observer = createObserver();
+        const target1 = { nodeType: 1, id: 1 };
+        const target2 = { nodeType: 1, id: 2 };
+        const group = { targets: new Map([[target1, 'a']]), observer };
+        observeElement(group);
+        const spy = jest.spyOn(observer, 'unobserve');
+        observeTarget(group, target2);
+
+        expect(findObserverElement(observer, { target: target2 })).toBe(group);
+
+        unobserveTarget(group, target1);
+
+        expect(spy).toHaveBeenCalledWith(target1);
+        expect(findObserverElement(observer, { target: target1 })).toBeNull();
+        expect(findObserverElement(observer, { target: target2 })).toBe(group);
+    });
+});
+
+describe('#observe', () => {
+    test('observes the target with a pooled observer', () => {
+        const target = { nodeType: 1, id: 1 };
+        const element = { target: { nodeType: 1, id: 2 }, observer: createObserver(defaultOptions) };
+        observeElement(element);
+        const spy = jest.spyOn(element.observer, 'observe');
+        observe(target, defaultOptions, noop);
+
+        expect(observerElementsMap.size).toBe(1);
+        expect(spy).toHaveBeenCalledWith(target);
+    });
+
+    test('calls onChange with the entry and an unobserve function', () => {
+        const target = { nodeType: 1, id: 1 };
+        const spy = jest.fn();
+        const unobserve = observe(target, defaultOptions, spy);
+        const observer = getPooled(defaultOptions);
+        const entry = { target };
+        callback([entry], observer);
+
+        expect(spy).toHaveBeenCalledWith(entry, unobserve);
+    });
+
+    test('returns a function to stop observing', () => {
+        const unobserve = observe({ nodeType: 1, id: 1 }, defaultOptions, noop);
+        const observer = getPooled(defaultOptions);
+        const spy = jest.spyOn(observer, 'disconnect');
+        unobserve();
+
+        expect(spy).toBeCalled();
+        expect(observerElementsMap.has(observer)).toBeFalsy();
+    });
+});
+
+describe('shared targets', () => {
+    const target = { nodeType: 1, id: 1 };
+    const entry = { target, isIntersecting: true, intersectionRatio: 1 };
+
+    test('calls every element observing the same target', () => {
+        const spy1 = jest.fn();
+        const spy2 = jest.fn();
+        const unobserve1 = observe(target, defaultOptions, spy1);
+        const unobserve2 = observe(target, defaultOptions, spy2);
+        callback([entry], getPooled(defaultOptions));
+
+        expect(spy1).toHaveBeenCalledWith(entry, unobserve1);
+        expect(spy2).toHaveBeenCalledWith(entry, unobserve2);
+    });
+
+    test('observes the target again for the initial entry of elements joining', () => {
+        observe(target, defaultOptions, noop);
+        const observer = getPooled(defaultOptions);
+        const unobserveSpy = jest.spyOn(observer, 'unobserve');
+        const observeSpy = jest.spyOn(observer, 'observe');
+        observe(target, defaultOptions, noop);
+
+        expect(unobserveSpy).toHaveBeenCalledWith(target);
+        expect(observeSpy).toHaveBeenCalledWith(target);
+    });
+
+    test('unobserves the target once the last element left', () => {
+        const spy = jest.fn();
+        observe({ nodeType: 1, id: 2 }, defaultOptions, noop);
+        const unobserve1 = observe(target, defaultOptions, noop);
+        const unobserve2 = observe(target, defaultOptions, spy);
+        const observer = getPooled(defaultOptions);
+        const unobserveSpy = jest.spyOn(observer, 'unobserve');
+        unobserve1();
+        callback([entry], observer);
+
+        expect(unobserveSpy).not.toBeCalled();
+        expect(spy).toHaveBeenCalledTimes(1);
+
+        unobserve2();
+
+        expect(unobserveSpy).toHaveBeenCalledWith(target);
+        expect(findObserverElement(observer, entry)).toBeNull();
+    });
+
+    test('skips the elements unobserved by the handlers of the others', () => {
+        const spy = jest.fn();
+        let unobserve2 = null;
+        observe(target, defaultOptions, () => unobserve2());
+        unobserve2 = observe(target, defaultOptions, spy);
+        callback([entry], getPooled(defaultOptions));
+
+        expect(spy).not.toBeCalled();
+    });
+});
+
+describe('threshold sharing', () => {
+    const createEntry = (target, ratio) => ({ target, isIntersecting: ratio > 0, intersectionRatio: ratio });
+
+    test('observes targets with the union of the thresholds on the same root and margin', () => {
+        observe({ nodeType: 1, id: 1 }, { threshold: 0.5 }, noop);
+        observe({ nodeType: 1, id: 2 }, { threshold: [0, 0.5] }, noop);
+        observe({ nodeType: 1, id: 3 }, { threshold: [0, 0.5, 1] }, noop);
+        observe({ nodeType: 1, id: 4 }, { threshold: [0, 0.5, 1], rootMargin: '10px' }, noop);
+
+        expect(observerElementsMap.size).toBe(2);
+        expect(getPooled({ threshold: [0, 0.5, 1] }).thresholds).toEqual([0, 0.5, 1]);
+        expect(getPooled({ threshold: 0.5 })).toBe(getPooled({ threshold: 1 }));
+    });
+
+    test('replaces the observer lacking thresholds, moving its targets', () => {
+        const target1 = { nodeType: 1, id: 1 };
+        const target2 = { nodeType: 1, id: 2 };
+        observe(target1, { threshold: 0.5 }, noop);
+        const replaced = getPooled({ threshold: 0.5 });
+        const spy = jest.spyOn(replaced, 'disconnect');
+        const unobserve = observe(target2, { threshold: [0, 1] }, noop);
+        const observer = getPooled({ threshold: [0, 0.5, 1] });
+
+        expect(observer).not.toBe(replaced);
+        expect(spy).toBeCalled();
+        expect(observerElementsMap.has(replaced)).toBe(false);
+        expect(findObserverElement(observer, { target: target1 }).target).toBe(target1);
+
+        unobserve();
+
+        expect(findObserverElement(observer, { target: target1 }).target).toBe(target1);
+        expect(findObserverElement(observer, { target: target2 })).toBeNull();
+    });
+
+    test('calls each element only when its own thresholds are crossed', () => {
+        const target = { nodeType: 1, id: 1 };
+        const spy1 = jest.fn();
+        const spy2 = jest.fn();
+        observe(target, { threshold: 0.5 }, spy1);
+        observe(target, { threshold: [0, 1] }, noop);
+        observe({ nodeType: 1, id: 2 }, { threshold: [0, 0.5, 1] }, spy2);
+        const observer = getPooled({ threshold: [0, 0.5, 1] });
+        const entries = [0, 0.25, 0.6, 1, 0.8, 0.4, 0].map(ratio => createEntry(target, ratio));
+        entries.forEach(entry => callback([entry], observer));
+
+        expect(spy1.mock.calls.map(([entry]) => entry)).toEqual([entries[0], entries[2], entries[5]]);
+        expect(spy2).not.toBeCalled();
+    });
+
+    test('does not call elements again with the initial entries of the observer replacing theirs', () => {
+        const target = { nodeType: 1, id: 1 };
+        const spy = jest.fn();
+        observe(target, { threshold: 0.5 }, spy);
+        callback([createEntry(target, 0.6)], getPooled({ threshold: 0.5 }));
+        observe({ nodeType: 1, id: 2 }, { threshold: 1 }, noop);
+        callback([createEntry(target, 0.7)], getPooled({ threshold: [0.5, 1] }));
+
+        expect(spy).toHaveBeenCalledTimes(1);
+    });
+
+    test('calls elements observing their target again with its initial entry', () => {
+        const target = { nodeType: 1, id: 1 };
+        const element = { target, handleChange: jest.fn() };
+        observe({ nodeType: 1, id: 2 }, { threshold: [0.5, 1] }, noop);
+        observeElement(element, { threshold: 0.5 });
+        callback([createEntry(target, 0)], element.observer);
+        unobserveElement(element);
+        observeElement(element, { threshold: 0.5 });
+        callback([createEntry(target, 0)], element.observer);
+
+        expect(element.handleChange).toHaveBeenCalledTimes(2);
+    });
+});
+
+describe('#setCoalesceEntries', () => {
+    const target1 = { nodeType: 1, id: 1 };
+    const target2 = { nodeType: 1, id: 2 };
+    const entries = [
+        { target: target1, isIntersecting: true, intersectionRatio: 0.5 },
+        { target: target2, isIntersecting: true, intersectionRatio: 1 },
+        { target: target1, isIntersecting: true, intersectionRatio: 1 },
+    ];
+
+    afterEach(() => {
+        setCoalesceEntries(false);
+    });
+
+    test('delivers every entry by default', () => {
+        const spy = jest.fn();
+        observe(target1, defaultOptions, spy);
+        observe(target2, defaultOptions, spy);
+        callback(entries, getPooled(defaultOptions));
+
+        expect(spy.mock.calls.map(([entry]) => entry)).toEqual(entries);
+    });
+
+    test('delivers the latest entry of each target', () => {
+        const spy = jest.fn();
+        setCoalesceEntries(true);
+        observe(target1, defaultOptions, spy);
+        observe(target2, defaultOptions, spy);
+        callback(entries, getPooled(defaultOptions));
+
+        expect(spy.mock.calls.map(([entry]) => entry)).toEqual([entries[1], entries[2]]);
+    });
+});
+
+describe('#setScheduler', () => {
+    const target1 = { nodeType: 1, id: 1 };
+    const target2 = { nodeType: 1, id: 2 };
+    const createEntry = (target, ratio) => ({ target, isIntersecting: ratio > 0, intersectionRatio: ratio });
+    let flushes;
+
+    beforeEach(() => {
+        flushes = [];
+        setScheduler(flush => flushes.push(flush));
+    });
+
+    afterEach(() => {
+        setScheduler(null);
+    });
+
+    test('delivers the entries in order once flushed', () => {
+        const spy = jest.fn();
+        observe(target1, defaultOptions, spy);
+        observe(target2, defaultOptions, spy);
+        const entries = [createEntry(target1, 0), createEntry(target2, 1)];
+        callback(entries, getPooled(defaultOptions));
+        callback([createEntry(target1, 1)], getPooled(defaultOptions));
+
+        expect(spy).not.toBeCalled();
+        expect(flushes).toHaveLength(1);
+
+        flushes[0]();
+
+        expect(spy.mock.calls.map(([entry]) => entry)).toEqual(entries.concat(createEntry(target1, 1)));
+    });
+
+    test('schedules the entries left after yielding', () => {
+        const spy = jest.fn();
+        observe(target1, defaultOptions, spy);
+        callback(
+            [createEntry(target1, 0), createEntry(target1, 0.5), createEntry(target1, 1)],
+            getPooled(defaultOptions),
+        );
+        flushes[0](() => true);
+
+        expect(spy).toHaveBeenCalledTimes(1);
+        expect(flushes).toHaveLength(2);
+
+        flushes[1](() => false);
+
+        expect(spy.mock.calls.map(([entry]) => entry.intersectionRatio)).toEqual([0, 0.5, 1]);
+        expect(flushes).toHaveLength(2);
+    });
+
+    test('drops the entries of targets unobserved before their delivery', () => {
+        const spy1 = jest.fn();
+        const spy2 = jest.fn();
+        const unobserve = observe(target1, defaultOptions, spy1);
+        observe(target2, defaultOptions, spy2);
+        callback([createEntry(target1, 1), createEntry(target2, 1)], getPooled(defaultOptions));
+        unobserve();
+        flushes[0]();
+
+        expect(spy1).not.toBeCalled();
+        expect(spy2).toHaveBeenCalledTimes(1);
+    });
+
+    test('drops the entries queued before observing the target again', () => {
+        const spy = jest.fn();
+        const element = { target: target1, handleChange: spy };
+        observe(target2, defaultOptions, noop);
+        observeElement(element, defaultOptions);
+        callback([createEntry(target1, 1)], element.observer);
+        unobserveElement(element);
+        observeElement(element, defaultOptions);
+        flushes[0]();
+
+        expect(spy).not.toBeCalled();
+    });
+
+    test('delivers the entries following one a handler threw on', () => {
+        const spy = jest.fn();
+        observe(target1, defaultOptions, () => {
+            throw new Error('handler');
+        });
+        observe(target2, defaultOptions, spy);
+        callback([createEntry(target1, 1), createEntry(target2, 1)], getPooled(defaultOptions));
+
+        expect(() => flushes[0]()).toThrow('handler');
+
+        flushes[1]();
+
+        expect(spy).toHaveBeenCalledTimes(1);
+    });
+
+    test('lets elements bring their own scheduler', () => {
+        const spy = jest.fn();
+        const scheduler = jest.fn(flush => flush());
+        observeElement({ target: target1, scheduler, handleChange: spy }, defaultOptions);
+        callback([createEntry(target1, 1)], getPooled(defaultOptions));
+
+        expect(scheduler).toHaveBeenCalledTimes(1);
+        expect(spy).toHaveBeenCalledTimes(1);
+        expect(flushes).toHaveLength(0);
+    });
+});
+
+describe('#setPolyfillLoader', () => {
+    const IntersectionObserverEntry = window.IntersectionObserverEntry;
+
+    beforeEach(() => {
+        delete window.IntersectionObserver;
+        delete window.IntersectionObserverEntry;
+    });
+
+    afterEach(() => {
+        window.IntersectionObserver = IntersectionObserver;
+        window.IntersectionObserverEntry = IntersectionObserverEntry;
+        setPolyfillLoader(null);
+    });
+
+    function loader() {
+        window.IntersectionObserver = IntersectionObserver;
+        window.IntersectionObserverEntry = IntersectionObserverEntry;
+    }
+
+    test('defers observing elements until the polyfill has loaded', async () => {
+        const spy = jest.fn(loader);
+        setPolyfillLoader(spy);
+        const element1 = { target: { nodeType: 1, id: 1 } };
+        const element2 = { target: { nodeType: 1, id: 2 } };
+        observeElement(element1, defaultOptions);
+        observeElement(element2, defaultOptions);
+
+        expect(element1.observer).toBeUndefined();
+        expect(observerElementsMap.size).toBe(0);
+
+        await flushPromises();
+
+        expect(spy).toHaveBeenCalledTimes(1);
+        expect(element1.observer).toBe(element2.observer);
+        expect(findObserverElement(element1.observer, element1)).toBe(element1);
+        expect(findObserverElement(element2.observer, element2)).toBe(element2);
+    });
+
+    test('does not observe elements unobserved while loading', async () => {
+        setPolyfillLoader(loader);
+        const element = { target: { nodeType: 1, id: 1 } };
+        observeElement(element, defaultOptions);
+        unobserveElement(element);
+
+        await flushPromises();
+
+        expect(element.observer).toBeUndefined();
+        expect(observerElementsMap.size).toBe(0);
+    });
+
+    test('does not load the polyfill given native support', () => {
+        loader();
+        const spy = jest.fn();
+        setPolyfillLoader(spy);
+        const element = { target: { nodeType: 1, id: 1 } };
+        observeElement(element, defaultOptions);
+
+        expect(spy).not.toBeCalled();
+        expect(findObserverElement(element.observer, element)).toBe(element);
+    });
+});
+
+describe('fallback', () => {
+    afterEach(() => {
+        window.IntersectionObserver = IntersectionObserver;
+    });
+
+    test('createObserver falls back to computing intersections without the IntersectionObserver API', () => {
+        delete window.IntersectionObserver;
+        const observer = createObserver(defaultOptions);
+
+        expect(observer).toBeInstanceOf(FallbackObserver);
+        expect(observer.thresholds).toEqual(defaultOptions.threshold);
+    });
+
+    test('pools fallback observers', () => {
+        delete window.IntersectionObserver;
+        const element = { target: { nodeType: 1, id: 1 }, observer: createObserver(defaultOptions) };
+        observeElement(element);
+        element.observer.disconnect();
+
+        expect(createObserver(defaultOptions)).toBe(element.observer);
+    });
+});
+
+describe('visibility tracking', () => {
+    const IntersectionObserverEntry = window.IntersectionObserverEntry;
+
+    afterEach(() => {
+        window.IntersectionObserver = IntersectionObserver;
+        delete IntersectionObserverEntry.prototype.isVisible;
+    });
+
+    test('getPooled matches trackVisibility and delay', () => {
+        IntersectionObserverEntry.prototype.isVisible = false;
+        const instance = createObserver({ trackVisibility: true, delay: 100 });
+        observeElement({ target: { nodeType: 1, id: 1 }, observer: instance });
+
+        expect(getPooled({ trackVisibility: true, delay: 100 })).toBe(instance);
+        expect(getPooled({ trackVisibility: true, delay: 200 })).toBeNull();
+        expect(getPooled({ delay: 100 })).toBeNull();
+        expect(getPooled()).toBeNull();
+    });
+
+    test('createObserver passes the options on given support', () => {
+        IntersectionObserverEntry.prototype.isVisible = false;
+        window.IntersectionObserver = jest.fn();
+        createObserver({ trackVisibility: true, delay: 100 });
+
+        expect(window.IntersectionObserver.mock.calls[0][1]).toEqual({ trackVisibility: true, delay: 100 });
+    });
+
+    test('createObserver leaves the options out and warns given no support', () => {
+        const spy = global.spyOn(console, 'error');
+        window.IntersectionObserver = jest.fn();
+        createObserver({ threshold: 0.5, trackVisibility: true, delay: 100 });
+
+        expect(window.IntersectionObserver.mock.calls[0][1]).toEqual({ threshold: 0.5 });
+        expect(spy.calls.first().args[0]).toContain('trackVisibility');
+    });
+});
+
+describe('benchmark', () => {
+    class BenchmarkObserver {
+        constructor(handleChanges, options) {
+            this.handleChanges = handleChanges;
+            this.options = options;
+        }
+
+        observe() {}
+
+        unobserve() {}
+
+        disconnect() {}
+    }
+
+    beforeEach(() => {
+        window.IntersectionObserver = BenchmarkObserver;
+    });
+
+    afterEach(() => {
+        window.IntersectionObserver = IntersectionObserver;
+    });
+
+    function instrument(prototype, name, wrap) {
+        const original = prototype[name];
+        prototype[name] = wrap(original);
+        return () => {
+            prototype[name] = original;
+        };
+    }
+
+    // counts the lookups in maps and sets, and the steps of iterating over them, rather than timing `run`, which would
+    // make for a flaky test on a busy machine
+    function countOperations(run) {
+        let count = 0;
+        const restores = [];
+        [Map.prototype, Set.prototype].forEach(prototype => {
+            ['get', 'has'].filter(name => prototype[name]).forEach(name => {
+                restores.push(
+                    instrument(
+                        prototype,
+                        name,
+                        original =>
+                            function(...args) {
+                                count++;
+                                return original.apply(this, args);
+                            },
+                    ),
+                );
+            });
+            ['keys', 'values', 'entries', Symbol.iterator].forEach(name => {
+                restores.push(
+                    instrument(
+                        prototype,
+                        name,
+                        original =>
+                            function() {
+                                const iterator = original.call(this);
+                                return {
+                                    next() {
+                                        count++;
+                                        return iterator.next();
+                                    },
+                                    [Symbol.iterator]() {
+                                        return this;
+                                    },
+                                };
+                            },
+                    ),
+                );
+            });
+            restores.push(
+                instrument(
+                    prototype,
+                    'forEach',
+                    original =>
+                        function(fn, thisArg) {
+                            return original.call(this, (...args) => {
+                                count++;
+                                return fn.apply(thisArg, args);
+                            });
+                        },
+                ),
+            );
+        });
+        try {
+            run();
+        } finally {
+            restores.forEach(restore => restore());
+        }
+        return count;
+    }
+
+    // pools `size` observers, the last one of which observes `size` targets, and counts the operations of looking up
+    // the last observer and delivering an entry of its last target, the worst case of walking the pool
+    function measure(size) {
+        const options = { rootMargin: `${size}px` };
+        let target;
+        for (let i = 1; i <= size; i++) {
+            target = { nodeType: 1, id: i };
+            observe(target, { rootMargin: `${i}px` }, noop);
+        }
+        for (let i = 1; i < size; i++) {
+            observe({ nodeType: 1, id: size + i }, options, noop);
+        }
+        const observer = getPooled(options);
+        const entries = [{ target }];
+        const count = countOperations(() => {
+            getPooled(options);
+            callback(entries, observer);
+        });
+        observerElementsMap.clear();
+        return count;
+    }
+
+    test('looks observers up and delivers entries in constant time', () => {
+        expect(measure(10000)).toBe(measure(10));
+    });
+});
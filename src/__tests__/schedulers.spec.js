@@ -0,0 +1,109 @@
+/* eslint-env jest */
+import { animationFrameScheduler, frameBudgetScheduler, idleScheduler, syncScheduler } from '../schedulers';
+
+jest.useFakeTimers();
+
+afterEach(() => {
+    delete global.requestAnimationFrame;
+    delete global.requestIdleCallback;
+});
+
+describe('#syncScheduler', () => {
+    test('flushes right away', () => {
+        const spy = jest.fn();
+        syncScheduler()(spy);
+
+        expect(spy).toHaveBeenCalledTimes(1);
+        expect(spy.mock.calls[0]).toEqual([]);
+    });
+});
+
+describe('#animationFrameScheduler', () => {
+    test('flushes on the next animation frame', () => {
+        const spy = jest.fn();
+        global.requestAnimationFrame = jest.fn();
+        animationFrameScheduler()(spy);
+
+        expect(spy).not.toBeCalled();
+
+        global.requestAnimationFrame.mock.calls[0][0](16);
+
+        expect(spy).toHaveBeenCalledTimes(1);
+        expect(spy.mock.calls[0]).toEqual([]);
+    });
+
+    test('falls back to a timeout', () => {
+        const spy = jest.fn();
+        animationFrameScheduler()(spy);
+        jest.runTimersToTime(16);
+
+        expect(spy).toHaveBeenCalledTimes(1);
+    });
+});
+
+describe('#idleScheduler', () => {
+    test('flushes while the browser is idle', () => {
+        const spy = jest.fn();
+        global.requestIdleCallback = jest.fn();
+        idleScheduler({ timeout: 500 })(spy);
+        const [run, options] = global.requestIdleCallback.mock.calls[0];
+        let timeRemaining = 10;
+        run({ didTimeout: false, timeRemaining: () => timeRemaining });
+        const shouldYield = spy.mock.calls[0][0];
+
+        expect(options).toEqual({ timeout: 500 });
+        expect(shouldYield()).toBe(false);
+
+        timeRemaining = 0;
+
+        expect(shouldYield()).toBe(true);
+    });
+
+    test('does not yield once timed out', () => {
+        const spy = jest.fn();
+        global.requestIdleCallback = jest.fn();
+        idleScheduler()(spy);
+        global.requestIdleCallback.mock.calls[0][0]({ didTimeout: true, timeRemaining: () => 0 });
+
+        expect(global.requestIdleCallback.mock.calls[0][1]).toEqual({ timeout: 1000 });
+        expect(spy.mock.calls[0][0]()).toBe(false);
+    });
+
+    test('falls back to a timeout', () => {
+        const spy = jest.fn();
+        idleScheduler()(spy);
+        jest.runTimersToTime(1);
+
+        expect(spy).toHaveBeenCalledTimes(1);
+    });
+});
+
+describe('#frameBudgetScheduler', () => {
+    let clock = 0;
+
+    beforeEach(() => {
+        jest.spyOn(Date, 'now').mockImplementation(() => clock);
+    });
+
+    afterEach(() => {
+        Date.now.mockRestore();
+    });
+
+    test('yields on animation frames once the budget is spent', () => {
+        const spy = jest.fn();
+        global.requestAnimationFrame = jest.fn();
+        frameBudgetScheduler({ budget: 4 })(spy);
+        global.requestAnimationFrame.mock.calls[0][0](16);
+        const shouldYield = spy.mock.calls[0][0];
+
+        expect(shouldYield()).toBe(false);
+
+        clock += 3;
+
+        expect(shouldYield()).toBe(false);
+
+        clock += 1;
+
+        expect(shouldYield()).toBe(true);
+    });
+});
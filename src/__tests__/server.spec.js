@@ -0,0 +1,51 @@
+/**
+ * @jest-environment node
+ */
+/* eslint-env jest */
+import React from 'react';
+import { renderToStaticMarkup } from 'react-dom/server';
+import IntersectionObserver, { useInView, withIntersectionObserver } from '..';
+
+const noop = () => {};
+
+test('can be imported without a DOM', () => {
+    expect(typeof window).toBe('undefined');
+    expect(IntersectionObserver).toBeDefined();
+});
+
+test('renders the child element', () => {
+    const markup = renderToStaticMarkup(
+        <IntersectionObserver onChange={noop} root="#root">
+            <span>target</span>
+        </IntersectionObserver>,
+    );
+
+    expect(markup).toBe('<span>target</span>');
+});
+
+test('renders children given as a function with initialInView', () => {
+    const markup = renderToStaticMarkup(
+        <IntersectionObserver initialInView={true}>
+            {({ ref, inView }) => <span ref={ref}>{inView ? 'visible' : 'hidden'}</span>}
+        </IntersectionObserver>,
+    );
+
+    expect(markup).toBe('<span>visible</span>');
+});
+
+test('renders useInView with initialInView', () => {
+    const Target = () => {
+        const [ref, inView] = useInView({ initialInView: true });
+        return <span ref={ref}>{inView ? 'visible' : 'hidden'}</span>;
+    };
+
+    expect(renderToStaticMarkup(<Target />)).toBe('<span>visible</span>');
+});
+
+test('renders withIntersectionObserver with initialInView', () => {
+    const Component = withIntersectionObserver({ initialInView: true, refProp: 'innerRef' })(({ inView }) => (
+        <span>{inView ? 'visible' : 'hidden'}</span>
+    ));
+
+    expect(renderToStaticMarkup(<Component />)).toBe('<span>visible</span>');
+});
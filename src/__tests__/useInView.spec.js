@@ -0,0 +1,102 @@
+/* eslint-env jest */
+import 'intersection-observer';
+import React from 'react';
+import renderer, { act } from 'react-test-renderer';
+import useInView from '../useInView';
+import { callback, observerElementsMap } from '../observer';
+
+const target = { nodeType: 1 };
+
+function createEntry(ratio, isIntersecting = ratio > 0) {
+    const entry = new IntersectionObserverEntry({
+        target,
+        boundingClientRect: { width: 1, height: 1 },
+        intersectionRect: { width: ratio, height: 1 },
+    });
+    entry.isIntersecting = isIntersecting;
+    return entry;
+}
+
+function getObserver() {
+    return observerElementsMap.keys().next().value;
+}
+
+function render(options) {
+    const renders = [];
+    function Target() {
+        const [ref, inView, entry] = useInView(options);
+        renders.push({ inView, entry });
+        return <span ref={ref} />;
+    }
+    act(() => {
+        renderer.create(<Target />, { createNodeMock: () => target });
+    });
+    return renders;
+}
+
+function trigger(entries) {
+    act(() => {
+        callback(entries, getObserver());
+    });
+}
+
+afterEach(() => {
+    observerElementsMap.clear();
+});
+
+test('starts out of view by default', () => {
+    const renders = render();
+
+    expect(renders[renders.length - 1]).toEqual({ inView: false, entry: null });
+});
+
+test('starts with initialInView', () => {
+    const renders = render({ initialInView: true });
+
+    expect(renders[0].inView).toBe(true);
+});
+
+test('returns the entry that flipped visibility', () => {
+    const renders = render();
+    const entry = createEntry(0.5);
+    trigger([entry]);
+
+    expect(renders[renders.length - 1]).toEqual({ inView: true, entry });
+});
+
+test('re-renders only when inView flips', () => {
+    const renders = render({ threshold: [0.25, 0.5, 0.75] });
+    const count = renders.length;
+    trigger([createEntry(0.3)]);
+    trigger([createEntry(0.6)]);
+    trigger([createEntry(0.8)]);
+
+    expect(renders.length).toBe(count + 1);
+
+    trigger([createEntry(0.2)]);
+
+    expect(renders.length).toBe(count + 2);
+    expect(renders[renders.length - 1].inView).toBe(false);
+});
+
+test('considers the lowest threshold', () => {
+    const renders = render({ threshold: [1, 0.5] });
+    trigger([createEntry(0.4)]);
+
+    expect(renders[renders.length - 1].inView).toBe(false);
+
+    trigger([createEntry(0.5)]);
+
+    expect(renders[renders.length - 1].inView).toBe(true);
+});
+
+test('unobserves after the first intersection with once', () => {
+    render({ once: true });
+    trigger([createEntry(0)]);
+
+    expect(observerElementsMap.size).toBe(1);
+
+    trigger([createEntry(1)]);
+
+    expect(observerElementsMap.size).toBe(0);
+});
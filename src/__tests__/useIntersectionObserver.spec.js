@@ -0,0 +1,119 @@
+/* eslint-env jest */
+import 'intersection-observer';
+import React, { useRef } from 'react';
+import PropTypes from 'prop-types';
+import renderer, { act } from 'react-test-renderer';
+import useIntersectionObserver from '../useIntersectionObserver';
+import { callback, observerElementsMap } from '../observer';
+
+const noop = () => {};
+const target = { nodeType: 1 };
+
+function Target({ options, onChange = noop }) {
+    const ref = useRef(null);
+    useIntersectionObserver(ref, options, onChange);
+    return <span ref={ref} />;
+}
+
+Target.propTypes = { options: PropTypes.object, onChange: PropTypes.func };
+
+function render(element, createNodeMock = () => target) {
+    let tree;
+    act(() => {
+        tree = renderer.create(element, { createNodeMock });
+    });
+    return tree;
+}
+
+function update(tree, element) {
+    act(() => {
+        tree.update(element);
+    });
+}
+
+function getObservedElements() {
+    return Array.from(observerElementsMap.values()).reduce((acc, elements) => acc.concat(Array.from(elements)), []);
+}
+
+afterEach(() => {
+    observerElementsMap.clear();
+});
+
+test('observes the target on mount', () => {
+    render(<Target />);
+    const elements = getObservedElements();
+
+    expect(elements).toHaveLength(1);
+    expect(elements[0].target).toBe(target);
+});
+
+test('shares the pooled observer with other hooks using the same options', () => {
+    const options = { rootMargin: '10% 0%', threshold: [0, 1] };
+    render(<Target options={options} />, () => Object.assign({ id: 1 }, target));
+    render(<Target options={options} />, () => Object.assign({ id: 2 }, target));
+
+    expect(observerElementsMap.size).toBe(1);
+    expect(getObservedElements()).toHaveLength(2);
+});
+
+test('unobserves the target on unmount', () => {
+    const tree = render(<Target />);
+    act(() => {
+        tree.unmount();
+    });
+
+    expect(observerElementsMap.size).toBe(0);
+});
+
+test('does not observe while disabled', () => {
+    const tree = render(<Target options={{ disabled: true }} />);
+    expect(observerElementsMap.size).toBe(0);
+
+    update(tree, <Target options={{ disabled: false }} />);
+    expect(observerElementsMap.size).toBe(1);
+
+    update(tree, <Target options={{ disabled: true }} />);
+    expect(observerElementsMap.size).toBe(0);
+});
+
+test('re-observes only when the options change', () => {
+    const tree = render(<Target options={{ threshold: [0, 0.5] }} />);
+    const [element] = getObservedElements();
+    const spy = jest.spyOn(element.observer, 'observe');
+
+    update(tree, <Target options={{ threshold: [0, 0.5] }} />);
+    expect(spy).not.toBeCalled();
+
+    update(tree, <Target options={{ threshold: [0, 1] }} />);
+    expect(getObservedElements()[0].observer.thresholds).toEqual([0, 1]);
+    expect(observerElementsMap.size).toBe(1);
+});
+
+test('calls onChange with the entry and an unobserve function', () => {
+    const spy = jest.fn((entry, unobserve) => unobserve());
+    render(<Target onChange={spy} />);
+    const [element] = getObservedElements();
+    const entry = new IntersectionObserverEntry({
+        target,
+        boundingClientRect: {},
+        intersectionRect: {},
+    });
+
+    callback([entry], element.observer);
+
+    expect(spy.mock.calls[0][0]).toBe(entry);
+    expect(observerElementsMap.size).toBe(0);
+});
+
+test('calls the latest onChange', () => {
+    const spy1 = jest.fn();
+    const spy2 = jest.fn();
+    const tree = render(<Target onChange={spy1} />);
+    update(tree, <Target onChange={spy2} />);
+    const [element] = getObservedElements();
+
+    callback([{ target }], element.observer);
+
+    expect(spy1).not.toBeCalled();
+    expect(spy2).toBeCalled();
+});
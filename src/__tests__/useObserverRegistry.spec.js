@@ -0,0 +1,134 @@
+/* eslint-env jest */
+import 'intersection-observer';
+import React from 'react';
+import PropTypes from 'prop-types';
+import renderer, { act } from 'react-test-renderer';
+import useObserverRegistry from '../useObserverRegistry';
+import { callback, observerElementsMap } from '../observer';
+
+const noop = () => {};
+
+function List({ ids, options, onChange = noop }) {
+    const register = useObserverRegistry(options, onChange);
+    return <ul>{ids.map(id => <li key={id} id={id} ref={register(id)} />)}</ul>;
+}
+
+List.propTypes = { ids: PropTypes.array.isRequired, options: PropTypes.object, onChange: PropTypes.func };
+
+function createNodeMock({ props }) {
+    return { nodeType: 1, id: props.id };
+}
+
+function render(element) {
+    let tree;
+    act(() => {
+        tree = renderer.create(element, { createNodeMock });
+    });
+    return tree;
+}
+
+function update(tree, element) {
+    act(() => {
+        tree.update(element);
+    });
+}
+
+function getGroups() {
+    return Array.from(observerElementsMap.values()).reduce((acc, elements) => acc.concat(Array.from(elements)), []);
+}
+
+function getObservedIds() {
+    const [group] = getGroups();
+    return Array.from(group.targets.values());
+}
+
+afterEach(() => {
+    observerElementsMap.clear();
+});
+
+test('observes every registered node with a single entry in the pool', () => {
+    render(<List ids={['a', 'b', 'c']} />);
+    const groups = getGroups();
+
+    expect(observerElementsMap.size).toBe(1);
+    expect(groups).toHaveLength(1);
+    expect(getObservedIds()).toEqual(['a', 'b', 'c']);
+});
+
+test('shares the pooled observer with other subscribers using the same options', () => {
+    const options = { threshold: [0, 1] };
+    render(<List ids={['a']} options={options} />);
+    render(<List ids={['b']} options={options} />);
+
+    expect(observerElementsMap.size).toBe(1);
+    expect(getGroups()).toHaveLength(2);
+});
+
+test('tags entries with the id of their node', () => {
+    const spy = jest.fn();
+    render(<List ids={['a', 'b']} onChange={spy} />);
+    const [group] = getGroups();
+    const [a, b] = Array.from(group.targets.keys());
+    const entry1 = { target: b };
+    const entry2 = { target: a };
+    callback([entry1, entry2], group.observer);
+
+    expect(spy).toHaveBeenCalledTimes(2);
+    expect(spy.mock.calls[0].slice(0, 2)).toEqual([entry1, 'b']);
+    expect(spy.mock.calls[1].slice(0, 2)).toEqual([entry2, 'a']);
+});
+
+test('stops observing a node with the function passed to onChange', () => {
+    const spy = jest.fn((entry, id, unobserve) => unobserve());
+    render(<List ids={['a', 'b']} onChange={spy} />);
+    const [group] = getGroups();
+    const unobserveSpy = jest.spyOn(group.observer, 'unobserve');
+    const [a] = Array.from(group.targets.keys());
+    callback([{ target: a }], group.observer);
+
+    expect(unobserveSpy).toHaveBeenCalledWith(a);
+    expect(getObservedIds()).toEqual(['b']);
+});
+
+test('observes and unobserves nodes as they mount and unmount', () => {
+    const tree = render(<List ids={['a', 'b']} />);
+    const [group] = getGroups();
+    const observeSpy = jest.spyOn(group.observer, 'observe');
+    const unobserveSpy = jest.spyOn(group.observer, 'unobserve');
+    update(tree, <List ids={['b', 'c']} />);
+
+    expect(getObservedIds()).toEqual(['b', 'c']);
+    expect(observeSpy).toHaveBeenCalledTimes(1);
+    expect(observeSpy.mock.calls[0][0].id).toBe('c');
+    expect(unobserveSpy).toHaveBeenCalledTimes(1);
+    expect(unobserveSpy.mock.calls[0][0].id).toBe('a');
+});
+
+test('re-observes every node when the options change', () => {
+    const tree = render(<List ids={['a', 'b']} options={{ threshold: 0 }} />);
+    update(tree, <List ids={['a', 'b']} options={{ threshold: 1 }} />);
+    const [group] = getGroups();
+
+    expect(observerElementsMap.size).toBe(1);
+    expect(group.observer.thresholds).toEqual([1]);
+    expect(getObservedIds()).toEqual(['a', 'b']);
+});
+
+test('does not observe while disabled', () => {
+    const tree = render(<List ids={['a']} options={{ disabled: true }} />);
+
+    expect(observerElementsMap.size).toBe(0);
+
+    update(tree, <List ids={['a']} options={{ disabled: false }} />);
+
+    expect(observerElementsMap.size).toBe(1);
+});
+
+test('leaves the pool on unmount', () => {
+    const tree = render(<List ids={['a', 'b']} />);
+    act(() => {
+        tree.unmount();
+    });
+
+    expect(observerElementsMap.size).toBe(0);
+});
@@ -1,20 +1,5 @@
 /* eslint-env jest */
-import React from 'react';
-import { isDOMTypeElement, parseRootMargin, shallowCompare } from '../utils';
-
-describe('isDOMTypeElement', () => {
-    test('returns false when is not a valid React element', () => {
-        const node = document.createElement('div');
-        expect(isDOMTypeElement(node)).toBe(false);
-    });
-    test('returns false if it is a React element but not a DOM node type', () => {
-        const Element = () => <div />;
-        expect(isDOMTypeElement(<Element />)).toBe(false);
-    });
-    test('returns true if it is a React element and DOM node type', () => {
-        expect(isDOMTypeElement(<div />)).toBe(true);
-    });
-});
+import { getMinThreshold, getObserverOptions, isEntryInView, parseRootMargin, shallowCompare } from '../utils';
 
 describe('parseRootMargin', () => {
     test('throws when using wrong units', () => {
@@ -67,3 +52,41 @@ describe('shallowCompare', () => {
         expect(comparerFn(nextProps, prevProps)).toBeTruthy();
     });
 });
+
+describe('getMinThreshold', () => {
+    test('returns the lowest threshold', () => {
+        expect(getMinThreshold()).toBe(0);
+        expect(getMinThreshold(0.5)).toBe(0.5);
+        expect(getMinThreshold([])).toBe(0);
+        expect(getMinThreshold([1, 0.25, 0.5])).toBe(0.25);
+    });
+});
+
+describe('isEntryInView', () => {
+    test('requires the entry to be intersecting', () => {
+        expect(isEntryInView({ isIntersecting: false, intersectionRatio: 0 })).toBe(false);
+        expect(isEntryInView({ isIntersecting: true, intersectionRatio: 0 })).toBe(true);
+    });
+
+    test('requires the ratio to reach the lowest threshold', () => {
+        expect(isEntryInView({ isIntersecting: true, intersectionRatio: 0.4 }, [0.5, 1])).toBe(false);
+        expect(isEntryInView({ isIntersecting: true, intersectionRatio: 0.5 }, [0.5, 1])).toBe(true);
+    });
+
+    test('falls back to the ratio when isIntersecting is not supported', () => {
+        expect(isEntryInView({ intersectionRatio: 0 })).toBe(false);
+        expect(isEntryInView({ intersectionRatio: 0.1 })).toBe(true);
+    });
+});
+
+describe('getObserverOptions', () => {
+    test('picks the native observer options', () => {
+        const options = { rootMargin: '10px', threshold: [0, 1], disabled: true, root: null };
+
+        expect(getObserverOptions(options)).toEqual({ rootMargin: '10px', threshold: [0, 1] });
+    });
+
+    test('resolves a root given as selector', () => {
+        expect(getObserverOptions({ root: 'body' })).toEqual({ root: document.body });
+    });
+});
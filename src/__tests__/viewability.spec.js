@@ -0,0 +1,295 @@
+/* eslint-env jest */
+import 'intersection-observer';
+import { createViewabilityTracker, getStandardRule } from '../viewability';
+import { observerElementsMap } from '../observer';
+import { mockObservation, restoreObservation, setHidden } from './helpers';
+
+jest.useFakeTimers();
+
+let clock = 0;
+
+function tick(ms) {
+    clock += ms;
+    jest.runTimersToTime(ms);
+}
+
+function createEntry(ratio, width = 300, height = 250) {
+    return {
+        time: clock,
+        isIntersecting: ratio > 0,
+        intersectionRatio: ratio,
+        boundingClientRect: { width, height },
+    };
+}
+
+beforeAll(() => {
+    jest.spyOn(Date, 'now').mockImplementation(() => clock);
+});
+
+afterAll(() => {
+    Date.now.mockRestore();
+});
+
+const display = getStandardRule('display');
+
+beforeEach(mockObservation);
+
+afterEach(() => {
+    observerElementsMap.clear();
+    restoreObservation();
+});
+
+test('observes the target with the thresholds of the standard', () => {
+    const tracker = createViewabilityTracker(jest.fn());
+    const target = document.createElement('div');
+    tracker.observe(target, { rootMargin: '10px' }, [getStandardRule('display')]);
+    const [observer] = Array.from(observerElementsMap.keys());
+
+    expect(observer.thresholds).toEqual([0, 0.3, 0.5]);
+    expect(observer.rootMargin).toBe('10px 10px 10px 10px');
+
+    tracker.unobserve();
+
+    expect(observerElementsMap.size).toBe(0);
+});
+
+test('certifies a display view after 50% in view for 1 second continuously', () => {
+    const spy = jest.fn();
+    const tracker = createViewabilityTracker(spy);
+    tracker.observe(document.createElement('div'), {}, [display]);
+    const entry = createEntry(0.5);
+    tracker.handleChange(entry);
+    tick(999);
+
+    expect(spy).not.toBeCalled();
+
+    tick(1);
+
+    expect(spy).toHaveBeenCalledTimes(1);
+    expect(spy).toHaveBeenCalledWith(entry, display, {
+        ratio: 0.5,
+        duration: 1000,
+        continuousTime: 1000,
+        cumulativeTime: 1000,
+    });
+    expect(observerElementsMap.size).toBe(0);
+});
+
+test('restarts the continuous time when the target leaves the view', () => {
+    const spy = jest.fn();
+    const tracker = createViewabilityTracker(spy);
+    tracker.observe(document.createElement('div'), {}, [display]);
+    tracker.handleChange(createEntry(0.6));
+    tick(800);
+    tracker.handleChange(createEntry(0.4));
+    tick(500);
+    tracker.handleChange(createEntry(0.6));
+    tick(800);
+
+    expect(spy).not.toBeCalled();
+
+    tick(200);
+
+    expect(spy).toHaveBeenCalledTimes(1);
+    expect(spy.mock.calls[0][2]).toMatchObject({ continuousTime: 1000, cumulativeTime: 1800 });
+});
+
+test('applies the large ad rule to display ads', () => {
+    const spy = jest.fn();
+    const tracker = createViewabilityTracker(spy);
+    tracker.observe(document.createElement('div'), {}, [display]);
+    tracker.handleChange(createEntry(0.3, 970, 250));
+    tick(1000);
+
+    expect(spy).toHaveBeenCalledTimes(1);
+    expect(spy.mock.calls[0][2].ratio).toBe(0.3);
+});
+
+test('certifies a video view after 50% in view for 2 seconds', () => {
+    const spy = jest.fn();
+    const tracker = createViewabilityTracker(spy);
+    tracker.observe(document.createElement('div'), {}, [getStandardRule('video')]);
+    tracker.handleChange(createEntry(0.3, 970, 250));
+    tick(2000);
+
+    expect(spy).not.toBeCalled();
+
+    tracker.handleChange(createEntry(0.5, 970, 250));
+    tick(1999);
+
+    expect(spy).not.toBeCalled();
+
+    tick(1);
+
+    expect(spy.mock.calls[0][2]).toMatchObject({ ratio: 0.5, duration: 2000 });
+});
+
+test('takes a custom duration', () => {
+    const spy = jest.fn();
+    const tracker = createViewabilityTracker(spy);
+    tracker.observe(document.createElement('div'), {}, [getStandardRule('display', 3000)]);
+    tracker.handleChange(createEntry(1));
+    tick(2000);
+
+    expect(spy).not.toBeCalled();
+
+    tick(1000);
+
+    expect(spy.mock.calls[0][2]).toMatchObject({ duration: 3000, continuousTime: 3000 });
+});
+
+test('does not count time while the document is hidden', () => {
+    const spy = jest.fn();
+    const tracker = createViewabilityTracker(spy);
+    tracker.observe(document.createElement('div'), {}, [display]);
+    tracker.handleChange(createEntry(1));
+    tick(600);
+    setHidden(true);
+    tick(5000);
+
+    expect(spy).not.toBeCalled();
+
+    setHidden(false);
+    tick(1000);
+
+    expect(spy).toHaveBeenCalledTimes(1);
+    expect(spy.mock.calls[0][2]).toMatchObject({ continuousTime: 1000, cumulativeTime: 1600 });
+});
+
+test('does not start counting while the document is hidden', () => {
+    const spy = jest.fn();
+    const tracker = createViewabilityTracker(spy);
+    tracker.observe(document.createElement('div'), {}, [display]);
+    setHidden(true);
+    tracker.handleChange(createEntry(1));
+    tick(1000);
+
+    expect(spy).not.toBeCalled();
+});
+
+test('cancels the measurement on unobserve', () => {
+    const spy = jest.fn();
+    const tracker = createViewabilityTracker(spy);
+    tracker.observe(document.createElement('div'), {}, [display]);
+    tracker.handleChange(createEntry(1));
+    tick(500);
+    tracker.unobserve();
+    tick(1000);
+
+    expect(spy).not.toBeCalled();
+    expect(observerElementsMap.size).toBe(0);
+});
+
+test('certifies a target only once', () => {
+    const spy = jest.fn();
+    const tracker = createViewabilityTracker(spy);
+    const target = document.createElement('div');
+    tracker.observe(target, {}, [display]);
+    tracker.handleChange(createEntry(1));
+    tick(1000);
+    tracker.observe(target, {}, [display]);
+
+    expect(observerElementsMap.size).toBe(0);
+
+    tracker.observe(document.createElement('div'), {}, [display]);
+    tracker.handleChange(createEntry(1));
+    tick(1000);
+
+    expect(spy).toHaveBeenCalledTimes(2);
+});
+
+describe('rules', () => {
+    const rules = [
+        { id: 'half', ratio: 0.5, duration: 1000 },
+        { id: 'full', ratio: 1, duration: 3000 },
+        { id: 'any', duration: 10000, mode: 'cumulative' },
+    ];
+
+    test('observes the target with the ratios of every rule as thresholds', () => {
+        const tracker = createViewabilityTracker(jest.fn());
+        tracker.observe(document.createElement('div'), {}, rules);
+        const [observer] = Array.from(observerElementsMap.keys());
+
+        expect(observer.thresholds).toEqual([0, 0.5, 1]);
+    });
+
+    test('certifies every rule once with its own timer', () => {
+        const spy = jest.fn();
+        const tracker = createViewabilityTracker(spy);
+        tracker.observe(document.createElement('div'), {}, rules);
+        tracker.handleChange(createEntry(0.6));
+        tick(1000);
+
+        expect(spy).toHaveBeenCalledTimes(1);
+        expect(spy.mock.calls[0][1]).toBe(rules[0]);
+
+        tracker.handleChange(createEntry(1));
+        tick(2999);
+        tracker.handleChange(createEntry(0.6));
+        tick(1000);
+
+        expect(spy).toHaveBeenCalledTimes(1);
+
+        tracker.handleChange(createEntry(1));
+        tick(3000);
+
+        expect(spy).toHaveBeenCalledTimes(2);
+        expect(spy.mock.calls[1][1]).toBe(rules[1]);
+        expect(spy.mock.calls[1][2]).toMatchObject({ ratio: 1, continuousTime: 3000, cumulativeTime: 5999 });
+        expect(observerElementsMap.size).toBe(1);
+    });
+
+    test('adds up the periods in view in cumulative mode', () => {
+        const spy = jest.fn();
+        const tracker = createViewabilityTracker(spy);
+        tracker.observe(document.createElement('div'), {}, [rules[2]]);
+        tracker.handleChange(createEntry(0.1));
+        tick(6000);
+        tracker.handleChange(createEntry(0));
+        tick(60000);
+        tracker.handleChange(createEntry(0.1));
+        tick(3999);
+
+        expect(spy).not.toBeCalled();
+
+        tick(1);
+
+        expect(spy).toHaveBeenCalledTimes(1);
+        expect(spy.mock.calls[0][2]).toEqual({
+            ratio: 0,
+            duration: 10000,
+            continuousTime: 4000,
+            cumulativeTime: 10000,
+        });
+        expect(observerElementsMap.size).toBe(0);
+    });
+
+    test('keeps the state of equal rules given again', () => {
+        const spy = jest.fn();
+        const target = document.createElement('div');
+        const tracker = createViewabilityTracker(spy);
+        tracker.observe(target, {}, [rules[2]]);
+        tracker.handleChange(createEntry(1));
+        tick(6000);
+        tracker.unobserve();
+        tracker.observe(target, {}, [Object.assign({}, rules[2])]);
+        tracker.handleChange(createEntry(1));
+        tick(4000);
+
+        expect(spy).toHaveBeenCalledTimes(1);
+    });
+
+    test('resets the state of rules on a new target', () => {
+        const spy = jest.fn();
+        const tracker = createViewabilityTracker(spy);
+        tracker.observe(document.createElement('div'), {}, [rules[2]]);
+        tracker.handleChange(createEntry(1));
+        tick(6000);
+        tracker.unobserve();
+        tracker.observe(document.createElement('div'), {}, [rules[2]]);
+        tracker.handleChange(createEntry(1));
+        tick(4000);
+
+        expect(spy).not.toBeCalled();
+    });
+});
@@ -0,0 +1,127 @@
+/* eslint-env jest */
+import 'intersection-observer';
+import React from 'react';
+import ReactDOM from 'react-dom';
+import PropTypes from 'prop-types';
+import renderer from 'react-test-renderer';
+import withIntersectionObserver from '../withIntersectionObserver';
+import { callback, observerElementsMap } from '../observer';
+
+const target = { nodeType: 1 };
+
+class Target extends React.Component {
+    static propTypes = { innerRef: PropTypes.func };
+
+    static fetchData() {}
+
+    render() {
+        return <span ref={this.props.innerRef} />;
+    }
+}
+
+function createEntry(ratio) {
+    const entry = new IntersectionObserverEntry({
+        target: getTarget(),
+        boundingClientRect: { width: 1, height: 1 },
+        intersectionRect: { width: ratio, height: 1 },
+    });
+    entry.isIntersecting = ratio > 0;
+    return entry;
+}
+
+function getObserver() {
+    return observerElementsMap.keys().next().value;
+}
+
+function getTarget() {
+    return observerElementsMap
+        .get(getObserver())
+        .values()
+        .next().value.target;
+}
+
+afterEach(() => {
+    observerElementsMap.clear();
+});
+
+test('sets the displayName', () => {
+    const Component = withIntersectionObserver()(Target);
+
+    expect(Component.displayName).toBe('withIntersectionObserver(Target)');
+});
+
+test('hoists non-react statics', () => {
+    const Component = withIntersectionObserver()(Target);
+
+    expect(Component.fetchData).toBe(Target.fetchData);
+});
+
+test('forwards the ref to the wrapped component', () => {
+    const Component = withIntersectionObserver({ refProp: 'innerRef' })(Target);
+    const ref = React.createRef();
+    renderer.create(<Component ref={ref} />, { createNodeMock: () => target });
+
+    expect(ref.current).toBeInstanceOf(Target);
+});
+
+test('passes the observer options through', () => {
+    const Component = withIntersectionObserver({ rootMargin: '10% 0%', threshold: [0.5, 1], refProp: 'innerRef' })(
+        Target,
+    );
+    renderer.create(<Component />, { createNodeMock: () => target });
+    const observer = getObserver();
+
+    expect(observer.rootMargin).toBe('10% 0% 10% 0%');
+    expect(observer.thresholds).toEqual([0.5, 1]);
+});
+
+test('injects inView and entry along with the own props', () => {
+    const Component = withIntersectionObserver({ threshold: 0.5, refProp: 'innerRef' })(Target);
+    const tree = renderer.create(<Component id="target" />, { createNodeMock: () => target });
+    const innerRef = expect.any(Function);
+
+    expect(tree.root.findByType(Target).props).toEqual({ id: 'target', inView: false, entry: null, innerRef });
+
+    const entry = createEntry(0.5);
+    callback([entry], getObserver());
+
+    expect(tree.root.findByType(Target).props).toEqual({ id: 'target', inView: true, entry, innerRef });
+});
+
+test('injects the visibility and entry under the configured prop names', () => {
+    const Component = withIntersectionObserver({
+        inViewProp: 'isVisible',
+        entryProp: 'intersection',
+        refProp: 'innerRef',
+    })(Target);
+    const tree = renderer.create(<Component />, { createNodeMock: () => target });
+    const entry = createEntry(1);
+    callback([entry], getObserver());
+
+    expect(tree.root.findByType(Target).props).toEqual({
+        isVisible: true,
+        intersection: entry,
+        innerRef: expect.any(Function),
+    });
+});
+
+test('looks up the DOM node of class components with findDOMNode without refProp', () => {
+    const spy1 = jest.spyOn(ReactDOM, 'findDOMNode').mockImplementation(() => target);
+    const spy2 = global.spyOn(console, 'error');
+    const Component = withIntersectionObserver()(Target);
+    renderer.create(<Component />);
+
+    expect(getTarget()).toBe(target);
+    expect(spy2.calls.first().args[0]).toContain('findDOMNode');
+    spy1.mockRestore();
+});
+
+test('observes the DOM node passed through refProp', () => {
+    const spy = global.spyOn(console, 'error');
+    const Component = withIntersectionObserver({ refProp: 'innerRef' })(Target);
+    const node = { nodeType: 1, id: 'inner' };
+    renderer.create(<Component />, { createNodeMock: () => node });
+
+    expect(getTarget()).toBe(node);
+    expect(spy).not.toBeCalled();
+});
@@ -0,0 +1,39 @@
+/**
+ * Creates the gate that tracking callbacks pass through. Calls are queued while `consent` is "unknown", and replayed in
+ * order with their original arguments once it is "granted", so that entries keep their original `time`. They are
+ * dropped once consent is "denied". The queue holds at most `maxQueueSize` calls, dropping the oldest ones.
+ * @param {{ consent, maxQueueSize }} options
+ */
+export function createConsentGate({ consent = 'unknown', maxQueueSize = 1000 } = {}) {
+    let queue = [];
+    const gate = {
+        consent,
+        setConsent(nextConsent) {
+            gate.consent = nextConsent;
+            if (nextConsent !== 'unknown') {
+                const calls = queue;
+                queue = [];
+                if (nextConsent === 'granted') {
+                    calls.forEach(({ callback, args }) => callback(...args));
+                }
+            }
+        },
+        call(callback, ...args) {
+            if (gate.consent === 'granted') {
+                callback(...args);
+            } else if (gate.consent === 'unknown') {
+                queue.push({ callback, args });
+                if (queue.length > maxQueueSize) {
+                    queue.shift();
+                }
+            }
+        },
+        /**
+         * Wraps `callback` to pass through the gate.
+         */
+        wrap(callback) {
+            return (...args) => gate.call(callback, ...args);
+        },
+    };
+    return gate;
+}
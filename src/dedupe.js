@@ -0,0 +1,256 @@
+import warning from 'warning';
+import { isEntryInView } from './utils';
+
+const DEFAULT_NAME = 'react-intersection-observer';
+const DAY = 24 * 60 * 60 * 1000;
+
+export function warnStorageFailed(error) {
+    // eslint-disable-next-line no-undef
+    if (process.env.NODE_ENV !== 'production') {
+        warning(false, `ReactIntersectionObserver: Accessing the storage of the ids seen failed. ${error}`);
+    }
+}
+
+/**
+ * Storage adapters keep the expiry time of the ids seen, by id. They implement `getAll()` resolving an object of
+ * expiry times by id, `set(id, expiresAt)` and `remove(ids)`, returning promises, and optionally `subscribe(listener)`
+ * to be notified of changes made in other tabs, returning a function to unsubscribe.
+ */
+
+/**
+ * Storage adapter keeping the ids seen in memory, for the lifetime of the page.
+ */
+export function memoryStorage() {
+    const records = {};
+    return {
+        getAll() {
+            return Promise.resolve({ ...records });
+        },
+        set(id, expiresAt) {
+            records[id] = expiresAt;
+            return Promise.resolve();
+        },
+        remove(ids) {
+            ids.forEach(id => delete records[id]);
+            return Promise.resolve();
+        },
+    };
+}
+
+/**
+ * Storage adapter keeping the ids seen in `localStorage` under `key`, notified of the changes made in other tabs by
+ * storage events.
+ * @param {string} key
+ */
+export function localStorageStorage(key = DEFAULT_NAME) {
+    function read() {
+        try {
+            return JSON.parse(window.localStorage.getItem(key)) || {};
+        } catch (error) {
+            return {};
+        }
+    }
+
+    function write(records) {
+        window.localStorage.setItem(key, JSON.stringify(records));
+    }
+
+    return {
+        getAll() {
+            return Promise.resolve(read());
+        },
+        set(id, expiresAt) {
+            return Promise.resolve().then(() => write({ ...read(), [id]: expiresAt }));
+        },
+        remove(ids) {
+            return Promise.resolve().then(() => {
+                const records = read();
+                ids.forEach(id => delete records[id]);
+                write(records);
+            });
+        },
+        subscribe(listener) {
+            const handleStorage = event => {
+                if (event.key === key) {
+                    listener();
+                }
+            };
+            window.addEventListener('storage', handleStorage);
+            return () => window.removeEventListener('storage', handleStorage);
+        },
+    };
+}
+
+/**
+ * Storage adapter keeping the ids seen in the object store `seen` of the IndexedDB database `name`.
+ * @param {string} name
+ */
+export function indexedDBStorage(name = DEFAULT_NAME) {
+    const storeName = 'seen';
+    let database = null;
+
+    function open() {
+        if (!database) {
+            database = new Promise((resolve, reject) => {
+                const request = window.indexedDB.open(name, 1);
+                request.onupgradeneeded = () => request.result.createObjectStore(storeName);
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
+        }
+        return database;
+    }
+
+    function transact(mode, operation) {
+        return open().then(
+            db =>
+                new Promise((resolve, reject) => {
+                    const transaction = db.transaction(storeName, mode);
+                    const result = operation(transaction.objectStore(storeName));
+                    transaction.oncomplete = () => resolve(result);
+                    transaction.onerror = () => reject(transaction.error);
+                }),
+        );
+    }
+
+    return {
+        getAll() {
+            return transact('readonly', store => {
+                const records = {};
+                store.openCursor().onsuccess = event => {
+                    const cursor = event.target.result;
+                    if (cursor) {
+                        records[cursor.key] = cursor.value;
+                        cursor.continue();
+                    }
+                };
+                return records;
+            });
+        },
+        set(id, expiresAt) {
+            return transact('readwrite', store => {
+                store.put(expiresAt, String(id));
+            });
+        },
+        remove(ids) {
+            return transact('readwrite', store => {
+                ids.forEach(id => store.delete(String(id)));
+            });
+        },
+    };
+}
+
+/**
+ * Creates the layer counting ids as seen once within `ttl` milliseconds, across reloads with a persistent `storage`
+ * and across tabs of the same origin. Tabs let each other know of the ids they claimed through the `BroadcastChannel`
+ * named `channel` when available, and through the storage adapter otherwise. Claims are best effort: two tabs claiming
+ * the same id at the very same time may both succeed.
+ * @param {{ storage, ttl, channel }} options
+ */
+export function createDedupe({ storage = memoryStorage(), ttl = DAY, channel = DEFAULT_NAME } = {}) {
+    const records = new Map();
+    let broadcastChannel = null;
+    let unsubscribe = null;
+
+    function merge(stored) {
+        const now = Date.now();
+        const expired = [];
+        Object.keys(stored).forEach(id => {
+            if (stored[id] > now) {
+                records.set(id, Math.max(stored[id], records.get(id) || 0));
+            } else {
+                expired.push(id);
+            }
+        });
+        if (expired.length > 0) {
+            storage.remove(expired).catch(warnStorageFailed);
+        }
+    }
+
+    function load() {
+        return storage.getAll().then(merge, warnStorageFailed);
+    }
+
+    const dedupe = {
+        /**
+         * Resolves once the ids seen before have been loaded from the storage.
+         */
+        ready: load(),
+        /**
+         * Whether `id` was seen within its time to live, as far as known synchronously.
+         */
+        has(id) {
+            const expiresAt = records.get(String(id));
+            return expiresAt !== undefined && expiresAt > Date.now();
+        },
+        /**
+         * Counts `id` as seen unless it was seen already, resolving whether this call claimed it.
+         */
+        claim(id) {
+            return dedupe.ready.then(() => {
+                if (dedupe.has(id)) {
+                    return false;
+                }
+                const expiresAt = Date.now() + ttl;
+                records.set(String(id), expiresAt);
+                // adapters may throw rather than reject
+                Promise.resolve()
+                    .then(() => storage.set(String(id), expiresAt))
+                    .catch(warnStorageFailed);
+                if (broadcastChannel) {
+                    broadcastChannel.postMessage({ id: String(id), expiresAt });
+                }
+                return true;
+            });
+        },
+        close() {
+            if (broadcastChannel) {
+                broadcastChannel.close();
+            }
+            if (unsubscribe) {
+                unsubscribe();
+            }
+        },
+    };
+
+    if (typeof window !== 'undefined' && typeof window.BroadcastChannel === 'function') {
+        broadcastChannel = new window.BroadcastChannel(channel);
+        broadcastChannel.onmessage = ({ data }) => merge({ [data.id]: data.expiresAt });
+    } else if (storage.subscribe) {
+        unsubscribe = storage.subscribe(load);
+    }
+
+    return dedupe;
+}
+
+/**
+ * Wraps `onChange` to be called with the first entry of the target in view, unless `id` was seen already within its
+ * time to live. The target is unobserved afterwards either way.
+ * @param {object} dedupe
+ * @param {*} id
+ * @param {function} onChange
+ * @param {number|Array<number>} threshold
+ * @returns {function}
+ */
+export function onceSeen(dedupe, id, onChange, threshold) {
+    let claiming = false;
+    return (entry, unobserve) => {
+        if (dedupe.has(id)) {
+            unobserve();
+            return;
+        }
+        if (claiming || !isEntryInView(entry, threshold)) {
+            return;
+        }
+        claiming = true;
+        dedupe
+            .claim(id)
+            .then(claimed => {
+                unobserve();
+                if (claimed) {
+                    onChange(entry, unobserve);
+                }
+            })
+            .catch(warnStorageFailed);
+    };
+}
@@ -0,0 +1,102 @@
+import { observe } from './observer';
+import { isDocumentHidden, isEntryInView, now } from './utils';
+
+/**
+ * Creates the engine accumulating the time a target spends in view, meaning intersecting by at least `threshold`,
+ * while the document is visible. `onDwell` receives `{ reason, dwellTime, visitTime }` when the target leaves the view
+ * (reason "exit") and when the page is unloaded (reason "unload"), where `dwellTime` is the total time in view since
+ * the target was first observed, and `visitTime` the time of the last visit. Totals of zero are not reported.
+ * @param {function} onDwell
+ */
+export function createDwellTracker(onDwell) {
+    const tracker = {
+        target: null,
+        threshold: 0,
+        inView: false,
+        visibleSince: null,
+        visitTime: 0,
+        dwellTime: 0,
+        unobserveTarget: null,
+        observe(target, options, threshold = 0) {
+            if (target !== tracker.target) {
+                tracker.target = target;
+                tracker.dwellTime = 0;
+                tracker.visitTime = 0;
+            }
+            if (tracker.unobserveTarget) {
+                return;
+            }
+            tracker.threshold = threshold;
+            document.addEventListener('visibilitychange', tracker.handleVisibilityChange);
+            window.addEventListener('pagehide', tracker.handlePageHide);
+            tracker.unobserveTarget = observe(
+                target,
+                { ...options, threshold: threshold > 0 ? [0, threshold] : [0] },
+                tracker.handleChange,
+            );
+        },
+        unobserve() {
+            tracker.pause();
+            tracker.inView = false;
+            if (tracker.unobserveTarget) {
+                tracker.unobserveTarget();
+                tracker.unobserveTarget = null;
+                document.removeEventListener('visibilitychange', tracker.handleVisibilityChange);
+                window.removeEventListener('pagehide', tracker.handlePageHide);
+            }
+        },
+        /**
+         * Total time in view in milliseconds, including the visit in progress.
+         */
+        getDwellTime() {
+            return tracker.dwellTime + tracker.getVisibleTime();
+        },
+        getVisibleTime() {
+            return tracker.visibleSince === null ? 0 : now() - tracker.visibleSince;
+        },
+        report(reason) {
+            const dwellTime = tracker.getDwellTime();
+            if (dwellTime > 0) {
+                onDwell({ reason, dwellTime, visitTime: tracker.visitTime + tracker.getVisibleTime() });
+            }
+        },
+        handleChange(entry) {
+            const inView = isEntryInView(entry, tracker.threshold);
+            if (inView === tracker.inView) {
+                return;
+            }
+            tracker.inView = inView;
+            if (inView) {
+                tracker.visitTime = 0;
+                tracker.resume();
+            } else {
+                tracker.pause();
+                tracker.report('exit');
+            }
+        },
+        handleVisibilityChange() {
+            if (isDocumentHidden()) {
+                tracker.pause();
+            } else if (tracker.inView) {
+                tracker.resume();
+            }
+        },
+        handlePageHide() {
+            tracker.report('unload');
+        },
+        resume() {
+            if (tracker.visibleSince === null && !isDocumentHidden()) {
+                tracker.visibleSince = now();
+            }
+        },
+        pause() {
+            if (tracker.visibleSince !== null) {
+                const visibleTime = tracker.getVisibleTime();
+                tracker.dwellTime += visibleTime;
+                tracker.visitTime += visibleTime;
+                tracker.visibleSince = null;
+            }
+        },
+    };
+    return tracker;
+}
@@ -0,0 +1,68 @@
+import { isDocumentHidden } from './utils';
+
+/**
+ * Creates the timer calling `onHeartbeat` every `interval` milliseconds while the target is in view and the document
+ * is visible, with the last entry and `{ count }`, the number of heartbeats so far. The timer starts over whenever the
+ * target comes back into view or the document becomes visible again. The last entry is kept while stopped, so that the
+ * timer resumes once started again with the target still in view.
+ * @param {function} onHeartbeat
+ */
+export function createHeartbeat(onHeartbeat) {
+    const heartbeat = {
+        interval: 5000,
+        entry: null,
+        inView: false,
+        started: false,
+        count: 0,
+        timeout: null,
+        start(interval) {
+            if (interval != null) {
+                heartbeat.interval = interval;
+            }
+            if (!heartbeat.started) {
+                heartbeat.started = true;
+                document.addEventListener('visibilitychange', heartbeat.handleVisibilityChange);
+            }
+            heartbeat.resume();
+        },
+        stop() {
+            heartbeat.pause();
+            if (heartbeat.started) {
+                heartbeat.started = false;
+                document.removeEventListener('visibilitychange', heartbeat.handleVisibilityChange);
+            }
+        },
+        update(entry, inView) {
+            heartbeat.entry = entry;
+            heartbeat.inView = inView;
+            if (inView) {
+                heartbeat.resume();
+            } else {
+                heartbeat.pause();
+            }
+        },
+        handleVisibilityChange() {
+            if (isDocumentHidden()) {
+                heartbeat.pause();
+            } else {
+                heartbeat.resume();
+            }
+        },
+        resume() {
+            if (heartbeat.timeout === null && heartbeat.started && heartbeat.inView && !isDocumentHidden()) {
+                heartbeat.timeout = setTimeout(heartbeat.beat, heartbeat.interval);
+            }
+        },
+        pause() {
+            clearTimeout(heartbeat.timeout);
+            heartbeat.timeout = null;
+        },
+        beat() {
+            heartbeat.timeout = null;
+            heartbeat.count += 1;
+            onHeartbeat(heartbeat.entry, { count: heartbeat.count });
+            heartbeat.resume();
+        },
+    };
+    return heartbeat;
+}
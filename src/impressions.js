@@ -0,0 +1,151 @@
+import warning from 'warning';
+import { warnStorageFailed } from './dedupe';
+
+/**
+ * Transport sending batches of impressions with `navigator.sendBeacon`, which keeps delivering them once the page is
+ * unloaded.
+ * @param {string} url
+ * @returns {function(Array): boolean}
+ */
+export function beaconTransport(url) {
+    return events => navigator.sendBeacon(url, JSON.stringify(events));
+}
+
+/**
+ * Transport posting batches of impressions as JSON with `fetch`, kept alive when the page is unloaded. `init` is merged
+ * into the options of every request, e.g. to pass headers.
+ * @param {string} url
+ * @param {object} init
+ * @returns {function(Array): Promise<boolean>}
+ */
+export function fetchTransport(url, init = {}) {
+    return events =>
+        fetch(url, {
+            method: 'POST',
+            keepalive: true,
+            ...init,
+            headers: { 'Content-Type': 'application/json', ...init.headers },
+            body: JSON.stringify(events),
+        }).then(response => response.ok);
+}
+
+function warnDropped(count, attempts, error) {
+    // eslint-disable-next-line no-undef
+    if (process.env.NODE_ENV !== 'production') {
+        warning(false, `ReactIntersectionObserver: Dropping ${count} impressions after ${attempts} attempts. ${error}`);
+    }
+}
+
+/**
+ * Creates the queue collecting impressions `{ id, payload, timestamp }`, counting each id once. Impressions are sent in
+ * batches of up to `batchSize` through `transport`, once a batch is full or `flushInterval` milliseconds after the first
+ * impression queued, and right away when the page gets hidden or unloaded. Batches that fail, meaning `transport`
+ * returned false or a rejected promise, are sent again up to `maxRetries` times, waiting `retryDelay` milliseconds
+ * doubled on every attempt. Given a `dedupe` layer from `createDedupe`, ids seen within its time to live, e.g. before a
+ * reload or in another tab, are not counted again.
+ * @param {{ transport, batchSize, flushInterval, maxRetries, retryDelay, dedupe }} options
+ */
+export function createImpressionQueue({
+    transport,
+    batchSize = 20,
+    flushInterval = 5000,
+    maxRetries = 3,
+    retryDelay = 1000,
+    dedupe = null,
+}) {
+    const tracked = new Set();
+    const retries = new Map();
+    let events = [];
+    let timeout = null;
+
+    function send(batch, attempt) {
+        // the transport is called right away, for the page may be unloading
+        new Promise(resolve => resolve(transport(batch)))
+            .then(result => {
+                if (result === false) {
+                    throw new Error('The transport failed to send the impressions');
+                }
+            })
+            .catch(error => {
+                if (attempt < maxRetries) {
+                    const retry = () => {
+                        retries.delete(retry);
+                        send(batch, attempt + 1);
+                    };
+                    retries.set(retry, setTimeout(retry, retryDelay * Math.pow(2, attempt)));
+                } else {
+                    warnDropped(batch.length, attempt + 1, error);
+                }
+            });
+    }
+
+    const queue = {
+        /**
+         * Queues an impression unless its id was tracked already, and returns whether it was queued. With a `dedupe`
+         * layer, the impression is only queued once the id has been claimed. Defaults `timestamp` to the current time.
+         */
+        track(id, payload, timestamp = Date.now()) {
+            if (queue.isTracked(id)) {
+                return false;
+            }
+            tracked.add(id);
+            const event = { id, payload, timestamp };
+            if (dedupe) {
+                dedupe
+                    .claim(id)
+                    .then(claimed => {
+                        if (claimed) {
+                            enqueue(event);
+                        }
+                    })
+                    .catch(warnStorageFailed);
+            } else {
+                enqueue(event);
+            }
+            return true;
+        },
+        isTracked(id) {
+            return tracked.has(id) || (dedupe !== null && dedupe.has(id));
+        },
+        /**
+         * Sends every impression queued, along with the batches waiting to be sent again.
+         */
+        flush() {
+            clearTimeout(timeout);
+            timeout = null;
+            retries.forEach((retryTimeout, retry) => {
+                clearTimeout(retryTimeout);
+                retry();
+            });
+            while (events.length > 0) {
+                send(events.slice(0, batchSize), 0);
+                events = events.slice(batchSize);
+            }
+        },
+        handleVisibilityChange() {
+            if (document.hidden) {
+                queue.flush();
+            }
+        },
+        start() {
+            window.addEventListener('pagehide', queue.flush);
+            document.addEventListener('visibilitychange', queue.handleVisibilityChange);
+        },
+        stop() {
+            window.removeEventListener('pagehide', queue.flush);
+            document.removeEventListener('visibilitychange', queue.handleVisibilityChange);
+            queue.flush();
+        },
+    };
+
+    function enqueue(event) {
+        events.push(event);
+        if (events.length >= batchSize) {
+            queue.flush();
+        } else if (timeout === null) {
+            timeout = setTimeout(queue.flush, flushInterval);
+        }
+    }
+
+    return queue;
+}
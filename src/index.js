@@ -1,2 +1,4 @@
-export { default } from './IntersectionObserver';
-export { parseRootMargin } from './utils';
+import './polyfill';
+
+export { default } from './pure';
+export * from './pure';
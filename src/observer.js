@@ -1,41 +1,335 @@
-import 'intersection-observer'; // polyfill
-import { parseRootMargin, shallowCompare } from './utils';
+import { unstable_batchedUpdates as batchedUpdates } from 'react-dom';
+import warning from 'warning';
+import FallbackObserver from './FallbackObserver';
+import { syncScheduler } from './schedulers';
+import { observerOptions, parseRootMargin } from './utils';
 
 export const observerElementsMap = new Map();
 
-export function getPooled(options = {}) {
+/**
+ * Each pooled observer also maps its targets to the elements subscribed to them, so that entries are delivered without
+ * walking the elements. Targets stay observed for as long as one of their elements does. Observers created by the pool
+ * are indexed by the canonical key of their options, within the pool of the viewport or of their root element.
+ * Elements with the same key share a single observer with the union of their thresholds, and only receive the entries
+ * crossing their own thresholds.
+ */
+const observerTargetsMap = new Map();
+const pooledObservers = new WeakMap();
+const subscriptions = new WeakMap();
+const viewportPool = new Map();
+const rootPools = new WeakMap();
+
+const pendingElements = new Map();
+let polyfillLoader = null;
+let polyfillPromise = null;
+let coalesceEntries = false;
+let defaultScheduler = syncScheduler();
+
+/**
+ * Entries waiting to be delivered, in order, by scheduler.
+ */
+const scheduledEntries = new Map();
+
+function isSupported() {
+    return typeof window !== 'undefined' && 'IntersectionObserver' in window && 'IntersectionObserverEntry' in window;
+}
+
+function isVisibilitySupported() {
+    return isSupported() && 'isVisible' in window.IntersectionObserverEntry.prototype;
+}
+
+/**
+ * Configures a function loading the IntersectionObserver polyfill, e.g. `() => import('intersection-observer')`.
+ * It is only called once an element is observed in a browser lacking native support, deferring the observation of
+ * elements until the returned promise resolves.
+ * @param {function(): Promise} loader
+ */
+export function setPolyfillLoader(loader) {
+    polyfillLoader = loader;
+    polyfillPromise = null;
+}
+
+/**
+ * Configures whether targets with several entries delivered at once only receive the latest one, dropping the states
+ * they went through in between. Off by default.
+ * @param {boolean} coalesce
+ */
+export function setCoalesceEntries(coalesce) {
+    coalesceEntries = coalesce;
+}
+
+/**
+ * Configures the scheduler delivering the entries to every element lacking one of its own, e.g. a component without
+ * the `scheduler` prop. Entries are delivered synchronously by default, or given `null`.
+ * @param {function(function): void} scheduler
+ */
+export function setScheduler(scheduler) {
+    defaultScheduler = scheduler || syncScheduler();
+}
+
+function loadPolyfill() {
+    if (!polyfillPromise) {
+        polyfillPromise = Promise.resolve()
+            .then(polyfillLoader)
+            .then(
+                () => {
+                    pendingElements.forEach((options, element) => {
+                        element.observer = createObserver(options);
+                        observeElement(element);
+                    });
+                    pendingElements.clear();
+                },
+                error => {
+                    pendingElements.clear();
+                    polyfillPromise = null;
+                    // eslint-disable-next-line no-undef
+                    if (process.env.NODE_ENV !== 'production') {
+                        warning(false, 'ReactIntersectionObserver: Loading the polyfill failed. %s', error);
+                    }
+                },
+            );
+    }
+    return polyfillPromise;
+}
+
+function normalizeThreshold(threshold) {
+    return Array.isArray(threshold) ? threshold : [threshold != null ? threshold : 0];
+}
+
+function getSortedThresholds(threshold) {
+    return normalizeThreshold(threshold)
+        .slice()
+        .sort((a, b) => a - b);
+}
+
+function includesThresholds(thresholds, threshold) {
+    return normalizeThreshold(threshold).every(value => thresholds.indexOf(value) !== -1);
+}
+
+/**
+ * Canonical key of a set of options within the pool of their root: the normalized `rootMargin` and the visibility
+ * tracking options. Thresholds are left out, for observers can serve any of theirs.
+ */
+function getPoolKey({ rootMargin, trackVisibility, delay }) {
+    return [parseRootMargin(rootMargin), Boolean(trackVisibility), delay || 0].join('|');
+}
+
+function getRootPool(root) {
+    if (root === null) {
+        return viewportPool;
+    }
+    if (!rootPools.has(root)) {
+        rootPools.set(root, new Map());
+    }
+    return rootPools.get(root);
+}
+
+function findPooled(options) {
     const root = options.root || null;
-    const rootMargin = parseRootMargin(options.rootMargin);
-    const threshold = Array.isArray(options.threshold)
-        ? options.threshold
-        : [options.threshold != null ? options.threshold : 0];
-    const observers = observerElementsMap.keys();
-    let observer;
-    while ((observer = observers.next().value)) {
-        const unmatched =
-            root !== observer.root ||
-            rootMargin !== observer.rootMargin ||
-            shallowCompare(threshold, observer.thresholds);
-
-        if (!unmatched) {
-            return observer;
+    const pool = root === null ? viewportPool : rootPools.get(root);
+    const observer = pool && pool.get(getPoolKey(options));
+    // observers disconnected since are left for the next one with the same options to replace
+    return observer && observerElementsMap.has(observer) ? observer : null;
+}
+
+/**
+ * Returns the pooled observer able to serve the options, meaning it has all of their thresholds.
+ */
+export function getPooled(options = {}) {
+    const observer = findPooled(options);
+    return observer && includesThresholds(pooledObservers.get(observer).thresholds, options.threshold)
+        ? observer
+        : null;
+}
+
+function addObserver(observer) {
+    observerElementsMap.set(observer, new Set());
+    observerTargetsMap.set(observer, new Map());
+    const pooled = pooledObservers.get(observer);
+    if (pooled) {
+        const pool = getRootPool(pooled.root);
+        const replaced = pool.get(pooled.key);
+        pool.set(pooled.key, observer);
+        if (replaced !== observer && observerElementsMap.has(replaced)) {
+            replaceObserver(replaced, observer);
         }
     }
-    return null;
 }
 
+/**
+ * Moves the elements of an observer to the one with more thresholds replacing it in the pool.
+ */
+function replaceObserver(replaced, observer) {
+    const elements = observerElementsMap.get(replaced);
+    replaced.disconnect();
+    removeObserver(replaced);
+    elements.forEach(element => {
+        element.observer = observer;
+        observerElementsMap.get(observer).add(element);
+        getTargets(element).forEach(target => subscribe(element, target));
+    });
+}
+
+function removeObserver(observer) {
+    observerElementsMap.delete(observer);
+    observerTargetsMap.delete(observer);
+    const pooled = pooledObservers.get(observer);
+    if (pooled) {
+        const pool = getRootPool(pooled.root);
+        if (pool.get(pooled.key) === observer) {
+            pool.delete(pooled.key);
+        }
+    }
+}
+
+/**
+ * Elements usually observe a single `target`, while groups observe many of them with a single entry in the pool,
+ * keeping a `targets` map from each DOM node to its id.
+ */
+function getTargets(element) {
+    return element.targets ? Array.from(element.targets.keys()) : [element.target];
+}
+
+function getSubscribers(observer) {
+    if (!observerTargetsMap.has(observer)) {
+        observerTargetsMap.set(observer, new Map());
+    }
+    return observerTargetsMap.get(observer);
+}
+
+function getTargetSubscribers(observer, target) {
+    const subscribers = observerElementsMap.has(observer) ? observerTargetsMap.get(observer) : undefined;
+    return subscribers && subscribers.get(target);
+}
+
+function subscribe(element, target) {
+    const subscribers = getSubscribers(element.observer);
+    const elements = subscribers.get(target);
+    if (!elements) {
+        subscribers.set(target, new Set([element]));
+    } else if (!elements.has(element)) {
+        elements.add(element);
+        // observing the target again delivers its initial entry to the new element, which the others only receive
+        // when crossing one of their thresholds since
+        element.observer.unobserve(target);
+    }
+    element.observer.observe(target);
+}
+
+/**
+ * Starts observing one more target on behalf of an element already in the pool, e.g. a node added to a group.
+ * @param {object} element
+ * @param {Element} target
+ */
+export function observeTarget(element, target) {
+    const subscription = subscriptions.get(element);
+    if (subscription) {
+        subscription.crossings.delete(target);
+    }
+    subscribe(element, target);
+}
+
+/**
+ * Stops observing one of the targets of an element, leaving the element in the pool.
+ * @param {object} element
+ * @param {Element} target
+ */
+export function unobserveTarget(element, target) {
+    const subscribers = getSubscribers(element.observer);
+    const elements = subscribers.get(target);
+    const subscription = subscriptions.get(element);
+    if (subscription) {
+        subscription.crossings.delete(target);
+    }
+    if (elements && elements.delete(element) && elements.size > 0) {
+        return;
+    }
+    subscribers.delete(target);
+    element.observer.unobserve(target);
+}
+
+/**
+ * Whether an entry crosses one of the thresholds the element observes its target with, or changes its visibility,
+ * since the last entry delivered to the element. Shared observers deliver the entries of the thresholds of every
+ * element, and the initial entries of every target again once replaced.
+ */
+function isCrossing(element, entry) {
+    const subscription = subscriptions.get(element);
+    if (!subscription) {
+        return true;
+    }
+    const { thresholds, crossings } = subscription;
+    const isIntersecting = entry.isIntersecting != null ? entry.isIntersecting : entry.intersectionRatio > 0;
+    // as in the polyfill, targets out of view rank below every threshold, 0 included
+    const ratio = isIntersecting ? entry.intersectionRatio || 0 : -1;
+    let index = 0;
+    while (index < thresholds.length && thresholds[index] <= ratio) {
+        index += 1;
+    }
+    const crossing = `${index}:${Boolean(entry.isVisible)}`;
+    const crossed = crossings.get(entry.target) !== crossing;
+    crossings.set(entry.target, crossing);
+    return crossed;
+}
+
+/**
+ * Returns the first element observing the target of the entry.
+ */
 export function findObserverElement(observer, entry) {
-    const elements = observerElementsMap.get(observer);
-    if (elements) {
-        const values = elements.values();
-        let element;
-        while ((element = values.next().value)) {
-            if (element.target === entry.target) {
-                return element;
-            }
+    const elements = getTargetSubscribers(observer, entry.target);
+    return elements && elements.size > 0 ? elements.values().next().value : null;
+}
+
+/**
+ * Delivers an entry unless its element stopped observing the target since it was queued, e.g. by unmounting.
+ */
+function deliver({ element, entry, subscription }) {
+    const elements = getTargetSubscribers(element.observer, entry.target);
+    if (elements && elements.has(element) && subscriptions.get(element) === subscription) {
+        element.handleChange(entry);
+    }
+}
+
+function flush(scheduler, queue, shouldYield) {
+    try {
+        batchedUpdates(() => {
+            // at least one entry is delivered by every flush, so that entries do not starve on any budget
+            do {
+                deliver(queue.entries.shift());
+            } while (queue.entries.length > 0 && !(shouldYield && shouldYield()));
+        });
+    } finally {
+        // entries left, or following the one a handler threw on, are delivered next time
+        if (queue.entries.length > 0) {
+            scheduler(next => flush(scheduler, queue, next));
+        } else {
+            scheduledEntries.delete(scheduler);
         }
     }
-    return null;
+}
+
+function schedule(element, entry) {
+    const scheduler = element.scheduler || defaultScheduler;
+    const scheduled = { element, entry, subscription: subscriptions.get(element) };
+    if (scheduledEntries.has(scheduler)) {
+        scheduledEntries.get(scheduler).entries.push(scheduled);
+        return;
+    }
+    const queue = { entries: [scheduled] };
+    scheduledEntries.set(scheduler, queue);
+    scheduler(shouldYield => flush(scheduler, queue, shouldYield));
+}
+
+/**
+ * Keeps the last entry of each target, in the order of these last entries.
+ */
+function getLatestEntries(changes) {
+    const latest = new Map();
+    for (let i = 0; i < changes.length; i++) {
+        latest.delete(changes[i].target);
+        latest.set(changes[i].target, changes[i]);
+    }
+    return Array.from(latest.values());
 }
 
 /**
@@ -47,36 +341,132 @@ export function findObserverElement(observer, entry) {
  * @param {IntersectionObserver} observer
  */
 export function callback(changes, observer) {
-    for (let i = 0; i < changes.length; i++) {
-        const element = findObserverElement(observer, changes[i]);
-        if (element) {
-            element.handleChange(changes[i]);
+    const entries = coalesceEntries ? getLatestEntries(changes) : changes;
+    // the state updates of all the handlers make for a single render
+    batchedUpdates(() => {
+        for (let i = 0; i < entries.length; i++) {
+            const elements = getTargetSubscribers(observer, entries[i].target);
+            if (elements) {
+                Array.from(elements).forEach(element => {
+                    // elements unobserved by the handlers of the others are skipped
+                    if (elements.has(element) && isCrossing(element, entries[i])) {
+                        schedule(element, entries[i]);
+                    }
+                });
+            }
         }
+    });
+}
+
+/**
+ * Leaves the visibility tracking options out in browsers lacking the second version of the API.
+ */
+function getSupportedOptions(options) {
+    if (!(options.trackVisibility || options.delay) || isVisibilitySupported()) {
+        return options;
     }
+    // eslint-disable-next-line no-undef
+    if (process.env.NODE_ENV !== 'production') {
+        warning(
+            !options.trackVisibility,
+            'ReactIntersectionObserver: trackVisibility requires the second version of the IntersectionObserver API, which your browser lacks. Entries are going to be delivered without isVisible.',
+        );
+    }
+    return observerOptions.reduce((supportedOptions, key) => {
+        if (key !== 'trackVisibility' && key !== 'delay' && options[key] !== undefined) {
+            supportedOptions[key] = options[key];
+        }
+        return supportedOptions;
+    }, {});
 }
 
-export function createObserver(options) {
-    return getPooled(options) || new IntersectionObserver(callback, options);
+/**
+ * Creates an IntersectionObserver unless one able to serve the options is pooled already. The observer pooled with
+ * other thresholds is replaced by one with the union of the thresholds once observing. Falls back to computing
+ * intersections on scroll and resize when the IntersectionObserver API is missing.
+ */
+export function createObserver(options = {}) {
+    let supportedOptions = getSupportedOptions(options);
+    let thresholds = getSortedThresholds(supportedOptions.threshold);
+    const pooled = findPooled(supportedOptions);
+    if (pooled) {
+        const pooledThresholds = pooledObservers.get(pooled).thresholds;
+        if (includesThresholds(pooledThresholds, thresholds)) {
+            return pooled;
+        }
+        thresholds = getSortedThresholds(
+            pooledThresholds.concat(thresholds.filter(value => pooledThresholds.indexOf(value) === -1)),
+        );
+        supportedOptions = { ...supportedOptions, threshold: thresholds };
+    }
+    const Observer = isSupported() ? IntersectionObserver : FallbackObserver;
+    const observer = new Observer(callback, supportedOptions);
+    pooledObservers.set(observer, {
+        root: supportedOptions.root || null,
+        key: getPoolKey(supportedOptions),
+        thresholds,
+    });
+    return observer;
 }
 
-export function observeElement(element) {
+export function observeElement(element, options) {
+    if (options !== undefined) {
+        subscriptions.set(element, { thresholds: getSortedThresholds(options.threshold), crossings: new Map() });
+        if (polyfillLoader && !isSupported()) {
+            pendingElements.set(element, options);
+            loadPolyfill();
+            return;
+        }
+        element.observer = createObserver(options);
+    }
     if (!observerElementsMap.has(element.observer)) {
-        observerElementsMap.set(element.observer, new Set());
+        addObserver(element.observer);
     }
     observerElementsMap.get(element.observer).add(element);
-    element.observer.observe(element.target);
+    getTargets(element).forEach(target => observeTarget(element, target));
 }
 
 export function unobserveElement(element) {
+    if (pendingElements.delete(element)) {
+        return;
+    }
     if (observerElementsMap.has(element.observer)) {
-        const targets = observerElementsMap.get(element.observer);
-        if (targets.delete(element)) {
-            if (targets.size > 0) {
-                element.observer.unobserve(element.target);
+        const elements = observerElementsMap.get(element.observer);
+        const subscription = subscriptions.get(element);
+        if (subscription) {
+            subscription.crossings.clear();
+        }
+        if (elements.delete(element)) {
+            if (elements.size > 0) {
+                getTargets(element).forEach(target => unobserveTarget(element, target));
             } else {
                 element.observer.disconnect();
-                observerElementsMap.delete(element.observer);
+                removeObserver(element.observer);
             }
         }
     }
 }
+
+/**
+ * Observes a DOM element outside of React, sharing the pooled observers with the components and hooks.
+ * The returned function stops observing the element; it is passed as second argument to `onChange` too.
+ * @param {Element} target
+ * @param {{ root, rootMargin, threshold }} options
+ * @param {function} onChange
+ * @returns {function} unobserve
+ */
+export function observe(target, options, onChange) {
+    const element = {
+        target,
+        observer: null,
+        handleChange(entry) {
+            onChange(entry, element.unobserve);
+        },
+        unobserve() {
+            unobserveElement(element);
+        },
+    };
+    observeElement(element, options || {});
+
+    return element.unobserve;
+}
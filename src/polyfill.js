@@ -0,0 +1,5 @@
+import { setPolyfillLoader } from './observer';
+
+// the polyfill touches the DOM when evaluated, so it is only loaded once an element is observed in a browser lacking
+// native support
+setPolyfillLoader(() => import('intersection-observer'));
@@ -0,0 +1,14 @@
+export { default } from './IntersectionObserver';
+export { default as useIntersectionObserver } from './useIntersectionObserver';
+export { default as useInView } from './useInView';
+export { default as useObserverRegistry } from './useObserverRegistry';
+export { default as withIntersectionObserver } from './withIntersectionObserver';
+export { default as ImpressionTracker } from './ImpressionTracker';
+export { default as Impression } from './Impression';
+export { default as ConsentProvider } from './ConsentProvider';
+export { default as useConsentGate } from './useConsentGate';
+export { beaconTransport, fetchTransport } from './impressions';
+export { createDedupe, indexedDBStorage, localStorageStorage, memoryStorage, onceSeen } from './dedupe';
+export { observe, setCoalesceEntries, setPolyfillLoader, setScheduler } from './observer';
+export { animationFrameScheduler, frameBudgetScheduler, idleScheduler, syncScheduler } from './schedulers';
+export { parseRootMargin } from './utils';
@@ -0,0 +1,62 @@
+import { now } from './utils';
+
+/**
+ * Schedulers decide when the entries of the observers are delivered. A scheduler is a function called with `flush`,
+ * to be called once the entries queued are due. `flush` takes an optional `shouldYield` function, and delivers the
+ * entries in order until it returns true, at least one of them. Entries left are scheduled again.
+ */
+
+/**
+ * Scheduler delivering the entries right away, within the callback of the observer.
+ * @returns {function(function): void}
+ */
+export function syncScheduler() {
+    return flush => flush();
+}
+
+/**
+ * Scheduler delivering the entries before the next repaint.
+ * @returns {function(function): void}
+ */
+export function animationFrameScheduler() {
+    return flush => {
+        if (typeof requestAnimationFrame === 'function') {
+            requestAnimationFrame(() => flush());
+        } else {
+            setTimeout(flush, 16);
+        }
+    };
+}
+
+/**
+ * Scheduler delivering the entries while the browser is idle, and every one of them once they have waited `timeout`
+ * milliseconds. Falls back to a timeout in browsers lacking `requestIdleCallback`.
+ * @param {{ timeout }} options
+ * @returns {function(function): void}
+ */
+export function idleScheduler({ timeout = 1000 } = {}) {
+    return flush => {
+        if (typeof requestIdleCallback === 'function') {
+            requestIdleCallback(deadline => flush(() => !deadline.didTimeout && deadline.timeRemaining() <= 0), {
+                timeout,
+            });
+        } else {
+            setTimeout(flush, 1);
+        }
+    };
+}
+
+/**
+ * Scheduler delivering the entries on animation frames in chunks taking up to `budget` milliseconds each, leaving the
+ * rest of the frame to rendering.
+ * @param {{ budget }} options
+ * @returns {function(function): void}
+ */
+export function frameBudgetScheduler({ budget = 5 } = {}) {
+    const scheduleFrame = animationFrameScheduler();
+    return flush =>
+        scheduleFrame(() => {
+            const start = now();
+            flush(() => now() - start >= budget);
+        });
+}
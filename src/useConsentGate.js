@@ -0,0 +1,14 @@
+import { useContext } from 'react';
+import { ConsentContext } from './ConsentProvider';
+
+const identity = callback => callback;
+
+/**
+ * Returns a function wrapping callbacks to pass through the gate of the closest `ConsentProvider`, e.g. `onChange`
+ * handlers sending analytics. Callbacks are left as they are outside of a provider.
+ * @returns {function(function): function}
+ */
+export default function useConsentGate() {
+    const gate = useContext(ConsentContext);
+    return gate ? gate.wrap : identity;
+}
@@ -0,0 +1,29 @@
+import { useRef, useState } from 'react';
+import useIntersectionObserver from './useIntersectionObserver';
+import { isEntryInView } from './utils';
+
+/**
+ * Tracks whether the node passed to the returned ref is in view. The component re-renders only when the visibility
+ * flips, not on every threshold crossing, so the returned entry is the one that caused the last flip.
+ * @param {{ root, rootMargin, threshold, disabled, initialInView, once }} options
+ * @returns {[function, boolean, IntersectionObserverEntry]}
+ */
+export default function useInView(options = {}) {
+    const { initialInView = false, once = false, ...observerOptions } = options;
+    const [node, setNode] = useState(null);
+    const [state, setState] = useState({ inView: initialInView, entry: null });
+    const inViewRef = useRef(initialInView);
+
+    useIntersectionObserver({ current: node }, observerOptions, (entry, unobserve) => {
+        const inView = isEntryInView(entry, observerOptions.threshold);
+        if (inView !== inViewRef.current) {
+            inViewRef.current = inView;
+            setState({ inView, entry });
+        }
+        if (inView && once) {
+            unobserve();
+        }
+    });
+
+    return [setNode, state.inView, state.entry];
+}
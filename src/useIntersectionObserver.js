@@ -0,0 +1,68 @@
+import { useEffect, useRef } from 'react';
+import { observeElement, unobserveElement } from './observer';
+import { getObserverOptions, observerOptions, shallowCompare } from './utils';
+
+const observerProps = ['disabled'].concat(observerOptions);
+
+/**
+ * Creates the object registered in the observer pool on behalf of a hook. It mirrors the fields the pool reads from
+ * component instances: `target`, `observer` and `handleChange`.
+ */
+function createElement() {
+    const element = {
+        target: null,
+        observer: null,
+        options: null,
+        onChange: null,
+        handleChange(entry) {
+            if (element.onChange) {
+                element.onChange(entry, element.unobserve);
+            }
+        },
+        unobserve() {
+            if (element.target != null) {
+                unobserveElement(element);
+            }
+        },
+    };
+    return element;
+}
+
+/**
+ * Observes the DOM node held by `ref` using the shared observer pool, calling `onChange` whenever the intersection
+ * value for this node changes. The node is re-observed only when either the node itself or any of the options change.
+ * @param {{ current: Element }} ref
+ * @param {{ root, rootMargin, threshold, disabled }} options
+ * @param {function} onChange
+ */
+export default function useIntersectionObserver(ref, options = {}, onChange) {
+    const instance = useRef(null);
+    if (instance.current === null) {
+        instance.current = createElement();
+    }
+    const element = instance.current;
+    element.onChange = onChange;
+
+    useEffect(() => {
+        const target = ref.current;
+        const optionsChanged =
+            element.options === null || observerProps.some(key => shallowCompare(options[key], element.options[key]));
+
+        if (target === element.target && !optionsChanged) {
+            return;
+        }
+
+        element.unobserve();
+        element.target = target;
+        element.options = observerProps.reduce((result, key) => {
+            result[key] = options[key];
+            return result;
+        }, {});
+
+        if (target != null && !options.disabled) {
+            observeElement(element, getObserverOptions(options));
+        }
+    });
+
+    useEffect(() => element.unobserve, []);
+}
@@ -0,0 +1,110 @@
+import { useEffect, useRef } from 'react';
+import { observeElement, observeTarget, unobserveElement, unobserveTarget } from './observer';
+import { getObserverOptions, observerOptions, shallowCompare } from './utils';
+
+const observerProps = ['disabled'].concat(observerOptions);
+
+/**
+ * Creates the group registered in the observer pool on behalf of the hook. All of its targets are observed by the
+ * same observer, while taking a single entry in the pool.
+ */
+function createGroup() {
+    const refs = new Map();
+    const nodes = new Map();
+    const group = {
+        targets: new Map(),
+        observer: null,
+        observing: false,
+        options: null,
+        onChange: null,
+        handleChange(entry) {
+            const id = group.targets.get(entry.target);
+            if (group.onChange) {
+                group.onChange(entry, id, () => group.unobserveTarget(entry.target));
+            }
+        },
+        observeTarget(id, node) {
+            nodes.set(id, node);
+            group.targets.set(node, id);
+            if (group.observing && group.observer) {
+                observeTarget(group, node);
+            }
+        },
+        unobserveTarget(node) {
+            if (group.targets.has(node)) {
+                nodes.delete(group.targets.get(node));
+                group.targets.delete(node);
+                if (group.observing && group.observer) {
+                    unobserveTarget(group, node);
+                }
+            }
+        },
+        register(id) {
+            if (!refs.has(id)) {
+                refs.set(id, node => {
+                    if (nodes.has(id)) {
+                        group.unobserveTarget(nodes.get(id));
+                    }
+                    if (node != null) {
+                        group.observeTarget(id, node);
+                    } else {
+                        refs.delete(id);
+                    }
+                });
+            }
+            return refs.get(id);
+        },
+        observe(options) {
+            group.observing = true;
+            observeElement(group, getObserverOptions(options));
+        },
+        unobserve() {
+            if (group.observing) {
+                group.observing = false;
+                unobserveElement(group);
+                group.observer = null;
+            }
+        },
+    };
+    return group;
+}
+
+/**
+ * Observes any number of DOM nodes with a single pooled observer. Returns a `register(id)` function creating the ref
+ * callback for the node identified by `id`. `onChange` receives each entry along with the id of its node, and a
+ * function to stop observing that node.
+ * @param {{ root, rootMargin, threshold, disabled }} options
+ * @param {function} onChange
+ * @returns {function(*): function}
+ */
+export default function useObserverRegistry(options = {}, onChange) {
+    const instance = useRef(null);
+    if (instance.current === null) {
+        instance.current = createGroup();
+    }
+    const group = instance.current;
+    group.onChange = onChange;
+
+    useEffect(() => {
+        const optionsChanged =
+            group.options === null || observerProps.some(key => shallowCompare(options[key], group.options[key]));
+
+        if (!optionsChanged) {
+            return;
+        }
+
+        group.unobserve();
+        group.options = observerProps.reduce((result, key) => {
+            result[key] = options[key];
+            return result;
+        }, {});
+
+        if (!options.disabled) {
+            group.observe(options);
+        }
+    });
+
+    useEffect(() => group.unobserve, []);
+
+    return group.register;
+}
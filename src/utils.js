@@ -1,9 +1,3 @@
-import React from 'react';
-
-export function isDOMTypeElement(element) {
-    return React.isValidElement(element) && typeof element.type === 'string';
-}
-
 const marginRE = /^-?\d*\.?\d+(px|%)$/;
 
 export function parseRootMargin(rootMargin) {
@@ -18,6 +12,45 @@ export function parseRootMargin(rootMargin) {
     return `${m0} ${m1} ${m2} ${m3}`;
 }
 
+/**
+ * Options of the native IntersectionObserver, including the visibility tracking ones of its second version.
+ */
+export const observerOptions = ['root', 'rootMargin', 'threshold', 'trackVisibility', 'delay'];
+
+/**
+ * Picks the options of the native IntersectionObserver, resolving a root given as selector.
+ */
+export function getObserverOptions(options) {
+    return observerOptions.reduce((result, key) => {
+        if (options[key] != null) {
+            const useQuery = key === 'root' && typeof options[key] === 'string';
+            result[key] = useQuery ? document.querySelector(options[key]) : options[key];
+        }
+        return result;
+    }, {});
+}
+
+/**
+ * High resolution timestamp in milliseconds, comparable with the `time` of the entries.
+ */
+export function now() {
+    return typeof performance !== 'undefined' && performance.now ? performance.now() : Date.now();
+}
+
+/**
+ * Converts the `time` of an entry, relative to the time origin of the page, to milliseconds since the epoch.
+ */
+export function getEntryTimestamp(entry) {
+    return entry.time != null ? Math.round(Date.now() - (now() - entry.time)) : Date.now();
+}
+
+/**
+ * Whether the document is hidden, which is never the case on the server.
+ */
+export function isDocumentHidden() {
+    return typeof document !== 'undefined' && document.hidden === true;
+}
+
 export function shallowCompare(next, prev) {
     if (Array.isArray(next) && Array.isArray(prev)) {
         if (next.length === prev.length) {
@@ -26,3 +59,19 @@ export function shallowCompare(next, prev) {
     }
     return next !== prev;
 }
+
+export function getMinThreshold(threshold) {
+    if (Array.isArray(threshold)) {
+        return threshold.length > 0 ? Math.min(...threshold) : 0;
+    }
+    return threshold || 0;
+}
+
+/**
+ * Whether an entry is considered in view given the threshold(s) it was observed with, that is, when it is
+ * intersecting by at least the lowest threshold.
+ */
+export function isEntryInView(entry, threshold) {
+    const isIntersecting = 'isIntersecting' in entry ? entry.isIntersecting : entry.intersectionRatio > 0;
+    return isIntersecting && entry.intersectionRatio >= getMinThreshold(threshold);
+}
@@ -0,0 +1,186 @@
+import { observe } from './observer';
+import { isDocumentHidden, isEntryInView, now } from './utils';
+
+/**
+ * Viewability standards of the Media Rating Council (MRC) and the IAB: the minimum ratio of the ad in view, and the
+ * time in milliseconds it has to stay in view continuously.
+ */
+export const viewabilityStandards = {
+    display: { ratio: 0.5, duration: 1000 },
+    video: { ratio: 0.5, duration: 2000 },
+};
+
+/**
+ * Display ads of at least 242,500 pixels only need 30% of their pixels in view.
+ */
+const LARGE_AD_AREA = 242500;
+const LARGE_AD_RATIO = 0.3;
+
+/**
+ * Creates the rule certifying views against one of the `viewabilityStandards`, optionally with a custom duration.
+ */
+export function getStandardRule(standard, duration) {
+    return {
+        standard,
+        ratio: viewabilityStandards[standard].ratio,
+        largeAdRatio: standard === 'display' ? LARGE_AD_RATIO : null,
+        duration: duration != null ? duration : viewabilityStandards[standard].duration,
+        mode: 'continuous',
+    };
+}
+
+/**
+ * Identifies a rule by the values it is measured with, so that equal rules given as new objects keep their state.
+ */
+export function getRuleKey({ id, standard, ratio = 0, duration, mode = 'continuous' }) {
+    return [id != null ? id : standard, ratio, duration, mode].join(':');
+}
+
+function getRequiredRatio(rule, entry) {
+    const { width, height } = entry.boundingClientRect;
+    return rule.largeAdRatio != null && width * height >= LARGE_AD_AREA ? rule.largeAdRatio : rule.ratio || 0;
+}
+
+function getThresholds(rules) {
+    return rules.reduce(
+        (thresholds, rule) =>
+            [rule.ratio || 0, rule.largeAdRatio].reduce((result, ratio) => {
+                if (ratio != null && result.indexOf(ratio) === -1) {
+                    result.push(ratio);
+                }
+                return result;
+            }, thresholds),
+        [0],
+    );
+}
+
+/**
+ * Creates the engine measuring the viewability of a target against a list of rules `{ ratio, duration, mode }`, where
+ * `mode` is either "continuous" (the default) or "cumulative", adding up every period the target was in view. The
+ * target is observed in the pool with the ratios of the rules as thresholds, and time is only counted while the
+ * document is visible. Each rule keeps its own timer, and `onViewable` is called once per rule, with the last entry,
+ * the rule and the measurement: `{ ratio, duration, continuousTime, cumulativeTime }`.
+ * @param {function} onViewable
+ */
+export function createViewabilityTracker(onViewable) {
+    const states = new Map();
+    const tracker = {
+        target: null,
+        entry: null,
+        unobserveTarget: null,
+        observe(target, options, rules) {
+            if (target !== tracker.target) {
+                tracker.target = target;
+                states.clear();
+            }
+            const keys = rules.map(getRuleKey);
+            states.forEach((state, key) => {
+                if (keys.indexOf(key) === -1) {
+                    states.delete(key);
+                }
+            });
+            rules.forEach((rule, index) => {
+                if (!states.has(keys[index])) {
+                    states.set(keys[index], createState(rule));
+                }
+            });
+            const pendingRules = rules.filter((rule, index) => !states.get(keys[index]).viewable);
+            if (pendingRules.length === 0 || tracker.unobserveTarget) {
+                return;
+            }
+            document.addEventListener('visibilitychange', tracker.handleVisibilityChange);
+            tracker.unobserveTarget = observe(
+                target,
+                { ...options, threshold: getThresholds(pendingRules) },
+                tracker.handleChange,
+            );
+        },
+        unobserve() {
+            states.forEach(state => {
+                state.pause();
+                state.inView = false;
+            });
+            if (tracker.unobserveTarget) {
+                tracker.unobserveTarget();
+                tracker.unobserveTarget = null;
+                document.removeEventListener('visibilitychange', tracker.handleVisibilityChange);
+            }
+        },
+        handleChange(entry) {
+            tracker.entry = entry;
+            states.forEach(state => {
+                if (!state.viewable) {
+                    state.inView = isEntryInView(entry, getRequiredRatio(state.rule, entry));
+                    if (state.inView) {
+                        state.resume();
+                    } else {
+                        state.pause();
+                    }
+                }
+            });
+        },
+        handleVisibilityChange() {
+            const hidden = isDocumentHidden();
+            states.forEach(state => {
+                if (hidden) {
+                    state.pause();
+                } else if (state.inView) {
+                    state.resume();
+                }
+            });
+        },
+    };
+
+    function createState(rule) {
+        const state = {
+            rule,
+            inView: false,
+            viewable: false,
+            visibleSince: null,
+            cumulativeTime: 0,
+            timeout: null,
+            getMeasuredTime(continuousTime) {
+                return rule.mode === 'cumulative' ? state.cumulativeTime + continuousTime : continuousTime;
+            },
+            resume() {
+                if (state.visibleSince === null && !state.viewable && !isDocumentHidden()) {
+                    state.visibleSince = now();
+                    state.timeout = setTimeout(state.check, rule.duration - state.getMeasuredTime(0));
+                }
+            },
+            pause() {
+                if (state.visibleSince !== null) {
+                    state.cumulativeTime += now() - state.visibleSince;
+                    state.visibleSince = null;
+                    clearTimeout(state.timeout);
+                    state.timeout = null;
+                }
+            },
+            check() {
+                const continuousTime = now() - state.visibleSince;
+                const measuredTime = state.getMeasuredTime(continuousTime);
+                if (measuredTime < rule.duration) {
+                    // timers may fire early, e.g. after the clock has been adjusted
+                    state.timeout = setTimeout(state.check, rule.duration - measuredTime);
+                    return;
+                }
+                const { entry } = tracker;
+                const cumulativeTime = state.cumulativeTime + continuousTime;
+                state.pause();
+                state.viewable = true;
+                if (Array.from(states.values()).every(other => other.viewable)) {
+                    tracker.unobserve();
+                }
+                onViewable(entry, rule, {
+                    ratio: getRequiredRatio(rule, entry),
+                    duration: rule.duration,
+                    continuousTime,
+                    cumulativeTime,
+                });
+            },
+        };
+        return state;
+    }
+
+    return tracker;
+}
@@ -0,0 +1,60 @@
+import React from 'react';
+import PropTypes from 'prop-types';
+import hoistNonReactStatics from 'hoist-non-react-statics';
+import IntersectionObserver from './IntersectionObserver';
+import { isEntryInView } from './utils';
+
+/**
+ * Higher order component injecting the visibility of the wrapped component into its props.
+ * The `inViewProp` and `entryProp` options name the injected props, `initialInView` is the visibility injected until
+ * the first change, and the rest are passed on to the observer component. Set `refProp` when the wrapped component
+ * passes the DOM node on through a prop: class components are otherwise looked up with the deprecated findDOMNode.
+ * @param {{ root, rootMargin, threshold, disabled, refProp, inViewProp, entryProp, initialInView }} options
+ * @returns {function(React.ComponentType): React.ComponentType}
+ */
+export default function withIntersectionObserver(options = {}) {
+    const { inViewProp = 'inView', entryProp = 'entry', initialInView = false, ...observerOptions } = options;
+
+    return BaseComponent => {
+        const name = BaseComponent.displayName || BaseComponent.name || 'Component';
+        const displayName = `withIntersectionObserver(${name})`;
+
+        class WithIntersectionObserver extends React.Component {
+            static displayName = displayName;
+
+            static propTypes = {
+                /**
+                 * Ref given to the higher order component, forwarded to the wrapped component.
+                 */
+                forwardedRef: PropTypes.oneOfType([PropTypes.func, PropTypes.object]),
+            };
+
+            state = {
+                inView: initialInView,
+                entry: null,
+            };
+
+            handleChange = entry => {
+                const inView = isEntryInView(entry, observerOptions.threshold);
+                this.setState(prevState => (prevState.inView === inView ? null : { inView, entry }));
+            };
+
+            render() {
+                const { forwardedRef, ...props } = this.props;
+                props[inViewProp] = this.state.inView;
+                props[entryProp] = this.state.entry;
+
+                return (
+                    <IntersectionObserver {...observerOptions} onChange={this.handleChange}>
+                        <BaseComponent {...props} ref={forwardedRef} />
+                    </IntersectionObserver>
+                );
+            }
+        }
+
+        const ForwardRef = React.forwardRef((props, ref) => <WithIntersectionObserver {...props} forwardedRef={ref} />);
+        ForwardRef.displayName = displayName;
+
+        return hoistNonReactStatics(ForwardRef, BaseComponent);
+    };
+}
@@ -1,16 +1,229 @@
 import * as React from 'react';
 
-export default class IntersectionObserver extends React.Component<Props> {}
+export default class IntersectionObserver extends React.Component<Props> {
+    getDwellTime(): number;
+}
 
-interface Props {
-    children: React.ReactElement<any>;
+export function useIntersectionObserver(
+    ref: { current: Element | null },
+    options: ObserverOptions,
+    onChange: ChangeHandler,
+): void;
+
+export function useInView(
+    options?: InViewOptions,
+): [(node: Element | null) => void, boolean, Entry | null];
+
+export function useObserverRegistry<T = string>(
+    options: ObserverOptions,
+    onChange: (entry: Entry, id: T, unobserve: () => void) => void,
+): (id: T) => (node: Element | null) => void;
+
+export function withIntersectionObserver(
+    options?: HocOptions,
+): <P>(component: React.ComponentType<P>) => React.ComponentType<P>;
+
+export function observe(
+    target: Element,
+    options: IntersectionObserverInit,
+    onChange: ChangeHandler,
+): () => void;
+
+export function setPolyfillLoader(loader: (() => Promise<any>) | null): void;
+export function setCoalesceEntries(coalesce: boolean): void;
+
+export type Scheduler = (flush: (shouldYield?: () => boolean) => void) => void;
+
+export function setScheduler(scheduler: Scheduler | null): void;
+export function syncScheduler(): Scheduler;
+export function animationFrameScheduler(): Scheduler;
+export function idleScheduler(options?: { timeout?: number }): Scheduler;
+export function frameBudgetScheduler(options?: { budget?: number }): Scheduler;
+
+export class ImpressionTracker extends React.Component<ImpressionTrackerProps> {}
+
+export class Impression extends React.Component<ImpressionProps> {}
+
+export function beaconTransport(url: string): Transport;
+
+export function fetchTransport(url: string, init?: RequestInit): Transport;
+
+export class ConsentProvider extends React.Component<ConsentProviderProps> {}
+
+export function useConsentGate(): <T extends (...args: any[]) => void>(callback: T) => T;
+
+export function createDedupe(options?: DedupeOptions): Dedupe;
+
+export function memoryStorage(): DedupeStorage;
+
+export function localStorageStorage(key?: string): DedupeStorage;
+
+export function indexedDBStorage(name?: string): DedupeStorage;
+
+export function onceSeen(
+    dedupe: Dedupe,
+    id: string | number,
+    onChange: ChangeHandler,
+    threshold?: number | number[],
+): ChangeHandler;
+
+type Entry = IntersectionObserverEntry & { isVisible?: boolean };
+
+type ChangeHandler = (entry: Entry, unobserve: () => void) => void;
+
+interface ObserverOptions {
     root?: string | Element | null;
     rootMargin?: string;
     threshold?: number | number[];
+    trackVisibility?: boolean;
+    delay?: number;
     disabled?: boolean;
-    onChange: (entry: IntersectionObserverEntry, unobserve: () => void) => void;
-    onEntry?: (entry: IntersectionObserverEntry, unobserve: () => void) => void;
-    onExit?: (entry: IntersectionObserverEntry, unobserve: () => void) => void;
-    onCertifiedView?: (entry: IntersectionObserverEntry, unobserve: () => void) => void;
+}
+
+interface InViewOptions extends ObserverOptions {
+    initialInView?: boolean;
+    once?: boolean;
+}
+
+interface HocOptions extends ObserverOptions {
+    initialInView?: boolean;
+    refProp?: string;
+    inViewProp?: string;
+    entryProp?: string;
+}
+
+interface WrapperRenderState {
+    inView: boolean;
+    entry: Entry | null;
+    unobserve: () => void;
+}
+
+interface RenderState extends WrapperRenderState {
+    ref: (node: Element | null) => void;
+}
+
+type Props = ElementProps | RenderProps | WrapperProps | TargetProps;
+
+interface ElementProps extends BaseProps {
+    children: React.ReactElement<any>;
+    onChange: ChangeHandler;
+}
+
+interface RenderProps extends BaseProps {
+    children: (state: RenderState) => React.ReactElement<any>;
+    onChange?: ChangeHandler;
+}
+
+interface WrapperProps extends BaseProps {
+    as: string;
+    className?: string;
+    style?: React.CSSProperties;
+    children?: React.ReactNode | ((state: WrapperRenderState) => React.ReactNode);
+    onChange?: ChangeHandler;
+}
+
+interface TargetProps extends BaseProps {
+    target: string | Element | { current: Element | null };
+    children?: React.ReactNode | ((state: WrapperRenderState) => React.ReactNode);
+    onChange?: ChangeHandler;
+}
+
+interface BaseProps extends ObserverOptions {
+    initialInView?: boolean;
+    refProp?: string;
+    onEntry?: ChangeHandler;
+    onExit?: ChangeHandler;
+    onCertifiedView?: (entry: Entry, unobserve: () => void, measurement: ViewabilityMeasurement) => void;
+    viewabilityStandard?: 'display' | 'video';
+    waitTime?: number;
+    certifications?: Certification[];
+    onCertification?: (entry: Entry, unobserve: () => void, measurement: CertificationMeasurement) => void;
+    onDwell?: (dwell: Dwell) => void;
+    dwellThreshold?: number;
+    onHeartbeat?: (entry: Entry, unobserve: () => void, heartbeat: { count: number }) => void;
+    interval?: number;
+    scheduler?: Scheduler;
+}
+
+interface Dwell {
+    reason: 'exit' | 'unload' | 'unmount';
+    dwellTime: number;
+    visitTime: number;
+}
+
+interface Certification {
+    id: string | number;
+    ratio?: number;
+    duration: number;
+    mode?: 'continuous' | 'cumulative';
+}
+
+interface CertificationMeasurement {
+    id: string | number;
+    mode: 'continuous' | 'cumulative';
+    ratio: number;
+    duration: number;
+    continuousTime: number;
+    cumulativeTime: number;
+}
+
+interface ImpressionEvent {
+    id: string | number;
+    payload: any;
+    timestamp: number;
+}
+
+type Transport = (events: ImpressionEvent[]) => boolean | void | Promise<boolean | void>;
+
+interface ConsentProviderProps {
+    consent?: 'unknown' | 'granted' | 'denied';
+    maxQueueSize?: number;
+    children?: React.ReactNode;
+}
+
+interface DedupeStorage {
+    getAll(): Promise<{ [id: string]: number }>;
+    set(id: string, expiresAt: number): Promise<void>;
+    remove(ids: string[]): Promise<void>;
+    subscribe?(listener: () => void): () => void;
+}
+
+interface DedupeOptions {
+    storage?: DedupeStorage;
+    ttl?: number;
+    channel?: string;
+}
+
+interface Dedupe {
+    ready: Promise<void>;
+    has(id: string | number): boolean;
+    claim(id: string | number): Promise<boolean>;
+    close(): void;
+}
+
+interface ImpressionTrackerProps {
+    transport: Transport;
+    batchSize?: number;
+    flushInterval?: number;
+    maxRetries?: number;
+    retryDelay?: number;
+    dedupe?: Dedupe;
+    children?: React.ReactNode;
+}
+
+interface ImpressionProps extends Pick<ObserverOptions, 'root' | 'rootMargin' | 'trackVisibility' | 'delay' | 'disabled'> {
+    id: string | number;
+    payload?: any;
+    children: React.ReactElement<any>;
+    viewabilityStandard?: 'display' | 'video';
     waitTime?: number;
+    refProp?: string;
+}
+
+interface ViewabilityMeasurement {
+    standard: 'display' | 'video';
+    ratio: number;
+    duration: number;
+    continuousTime: number;
+    cumulativeTime: number;
 }
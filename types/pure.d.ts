@@ -0,0 +1,2 @@
+export * from '.';
+export { default } from '.';
@@ -1,5 +1,30 @@
 import * as React from 'react';
-import Observer from '..';
+import Observer, {
+    animationFrameScheduler,
+    beaconTransport,
+    ConsentProvider,
+    createDedupe,
+    fetchTransport,
+    frameBudgetScheduler,
+    idleScheduler,
+    Impression,
+    ImpressionTracker,
+    indexedDBStorage,
+    localStorageStorage,
+    memoryStorage,
+    observe,
+    onceSeen,
+    setCoalesceEntries,
+    setPolyfillLoader,
+    setScheduler,
+    syncScheduler,
+    useConsentGate,
+    useInView,
+    useIntersectionObserver,
+    useObserverRegistry,
+    withIntersectionObserver,
+} from '..';
+import PureObserver, { setPolyfillLoader as setPurePolyfillLoader } from './pure';
 
 const noop = (event, unobserve) => {
     unobserve();
@@ -13,3 +38,125 @@ const Component = () => <span />;
 <Observer threshold={[0.5, 1]} root={document.body} onChange={noop}>
     <Component />
 </Observer>;
+
+<Observer threshold={0.5}>{({ ref, inView, entry }) => <div ref={ref}>{inView && entry ? 'viewable' : 'hidden'}</div>}</Observer>;
+
+<Observer as="div" className="wrapper" style={{ display: 'inline' }} onChange={noop}>
+    <Component />
+    <Component />
+</Observer>;
+
+<Observer target="#foo" onChange={noop} />;
+
+<Observer target={document.body}>{({ inView }) => (inView ? 'viewable' : 'hidden')}</Observer>;
+
+const ref = { current: document.createElement('div') };
+
+useIntersectionObserver(ref, { threshold: [0, 1], rootMargin: '10px', disabled: false }, noop);
+
+const [inViewRef, inView, entry] = useInView({ threshold: 0.5, initialInView: true, once: true });
+
+<div ref={inViewRef}>{inView && entry ? entry.intersectionRatio : 0}</div>;
+
+const ObservedComponent = withIntersectionObserver({ threshold: 0.5, inViewProp: 'isVisible' })(Component);
+
+<ObservedComponent />;
+
+const unobserve = observe(document.body, { rootMargin: '10px', threshold: [0, 1] }, noop);
+
+unobserve();
+
+const register = useObserverRegistry({ threshold: 0.5 }, (event, id: number, unobserveItem) => unobserveItem());
+
+<ul>{[1, 2].map(id => <li key={id} ref={register(id)} />)}</ul>;
+
+setPolyfillLoader(() => fetch('intersection-observer.js'));
+setPurePolyfillLoader(() => fetch('intersection-observer.js'));
+
+<PureObserver onChange={noop}>
+    <span />
+</PureObserver>;
+
+setCoalesceEntries(true);
+setScheduler(idleScheduler({ timeout: 500 }));
+setScheduler(syncScheduler());
+setScheduler(null);
+
+const scheduler = frameBudgetScheduler({ budget: 4 });
+
+<Observer onChange={noop} scheduler={scheduler}>
+    <div />
+</Observer>;
+
+<Observer onChange={noop} scheduler={animationFrameScheduler()}>
+    <div />
+</Observer>;
+
+useIntersectionObserver(ref, { trackVisibility: true, delay: 100 }, ({ isVisible }) => isVisible);
+
+<Observer
+    onChange={noop}
+    viewabilityStandard="video"
+    onCertifiedView={(entry, unobserve, { cumulativeTime }) => cumulativeTime}
+>
+    <div />
+</Observer>;
+
+<Observer
+    onChange={noop}
+    certifications={[{ id: 'half', ratio: 0.5, duration: 1000 }, { id: 1, duration: 10000, mode: 'cumulative' }]}
+    onCertification={(entry, unobserve, { id, continuousTime }) => (id === 'half' ? continuousTime : unobserve())}
+>
+    <div />
+</Observer>;
+
+<ImpressionTracker transport={fetchTransport('/impressions', { credentials: 'include' })} batchSize={10}>
+    <Impression id="ad-1" payload={{ slot: 1 }} viewabilityStandard="video">
+        <div />
+    </Impression>
+</ImpressionTracker>;
+
+<ImpressionTracker transport={beaconTransport('/impressions')} />;
+
+<ImpressionTracker transport={events => fetch(`/impressions?count=${events.length}`).then(response => response.ok)} />;
+
+const dedupe = createDedupe({ storage: localStorageStorage('seen'), ttl: 60000, channel: 'seen' });
+
+<ImpressionTracker transport={beaconTransport('/impressions')} dedupe={dedupe} />;
+
+<Observer onChange={onceSeen(dedupe, 'card-1', noop, 0.5)}>
+    <div />
+</Observer>;
+
+createDedupe({ storage: indexedDBStorage() }).claim(1).then(claimed => claimed && dedupe.has('card-1'));
+
+createDedupe({ storage: memoryStorage() }).close();
+
+<ConsentProvider consent="unknown" maxQueueSize={100}>
+    <Impression id="ad-2">
+        <div />
+    </Impression>
+</ConsentProvider>;
+
+const gate = useConsentGate();
+
+useIntersectionObserver(ref, {}, gate(noop));
+
+let observer: Observer | null = null;
+
+<Observer
+    ref={instance => {
+        observer = instance;
+    }}
+    onChange={noop}
+    dwellThreshold={0.5}
+    onDwell={({ reason, dwellTime }) => reason === 'exit' && dwellTime}
+>
+    <div />
+</Observer>;
+
+observer && observer.getDwellTime();
+
+<Observer onChange={noop} interval={10000} onHeartbeat={(entry, unobserve, { count }) => count > 5 && unobserve()}>
+    <div />
+</Observer>;